@@ -2,10 +2,37 @@
 
 /**
  * 수집된 데이터를 사용하여 레트로 터미널 스타일의 HTML 페이지를 생성하는 스크립트
+ *
+ * 페이지는 templates/의 템플릿과 templates/partials/의 부분 템플릿으로 렌더링하며(lib/template-engine),
+ * 알 수 없거나 값이 없는 자리표시가 있으면 페이지를 저장하지 않고 실패한다.
+ * 최신 차트 페이지와 함께 DATA_DIR에 저장된 모든 스냅샷으로 기간별 아카이브 페이지(archive/<차트 키>/<날짜>.html),
+ * 공유용 곡별 페이지(archive/<차트 키>/<날짜>/<순위>.html, Open Graph/Twitter 카드 포함)와 아카이브 목록을 매번 다시 만든다.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const {
+    resolveCountries,
+    resolvePeriod,
+    getCountryLabel,
+    getPeriodLabel,
+    getChartKey,
+    getLatestFilePath
+} = require('./lib/chart-config');
+const { getTrackArtists } = require('./lib/artist-parser');
+const { estimateChartPeriod, formatPeriodRange } = require('./lib/chart-period');
+const { normalizeCredits, getPeopleByRole } = require('./lib/credit-roles');
+const { renderTemplate, loadPartials } = require('./lib/template-engine');
+const {
+    loadArchiveSnapshots,
+    getArchivePagePath,
+    getTrackPagesDir,
+    getTrackPagePath,
+    getArchiveIndexPath,
+    getSnapshotChartPeriod,
+    getArchiveLabel,
+    getArchiveNavigation
+} = require('./lib/chart-archive');
 
 // 환경변수 로드
 require('dotenv').config();
@@ -13,6 +40,13 @@ require('dotenv').config();
 const DATA_DIR = process.env.DATA_DIR || './data';
 const OUTPUT_DIR = process.env.OUTPUT_DIR || './dist';
 const TEMPLATE_DIR = './templates';
+const PARTIALS_DIR = path.join(TEMPLATE_DIR, 'partials');
+
+// 곡별 페이지 og:url에 사용할 사이트 주소 (없으면 og:url 생략)
+const SITE_URL = (process.env.SITE_URL || '').replace(/\/+$/, '');
+
+// 썸네일 선택 순서 (YouTube snippet.thumbnails 키, 큰 이미지 우선)
+const THUMBNAIL_SIZES = ['maxres', 'standard', 'high', 'medium', 'default'];
 
 /**
  * 출력 디렉토리 생성
@@ -28,32 +62,33 @@ async function ensureOutputDir() {
 }
 
 /**
- * 최신 YouTube 데이터 로드
+ * 최신 병합 데이터 파일 로드 (data: 차트/크레딧/YouTube를 합친 항목, chartPeriod: 차트 기간)
  */
-async function loadLatestYouTubeData() {
-    const youtubePath = path.join(DATA_DIR, 'latest-youtube.json');
+async function loadLatestMergedData(country = 'global', period = 'weekly') {
+    const mergedPath = getLatestFilePath(DATA_DIR, 'merged', country, period);
     
     try {
-        const data = await fs.readFile(youtubePath, 'utf8');
-        const youtubeData = JSON.parse(data);
-        console.log(`📺 Loaded YouTube data: ${youtubeData.data.length} entries`);
-        return youtubeData.data;
+        const data = await fs.readFile(mergedPath, 'utf8');
+        const mergedData = JSON.parse(data);
+        console.log(`📦 Loaded ${country} merged data: ${mergedData.data.length} entries`);
+        return mergedData;
     } catch (error) {
-        console.error('❌ Error loading YouTube data:', error);
-        throw new Error('YouTube data not found. Run get-youtube-links.js first.');
+        console.error('❌ Error loading merged data:', error);
+        throw new Error('Merged data not found. Run merge-chart-data.js first.');
     }
 }
 
 /**
- * HTML 템플릿 로드
+ * HTML 템플릿과 부분 템플릿 로드 (source: 템플릿 문자열, partials: 이름 → 부분 템플릿)
  */
-async function loadTemplate() {
-    const templatePath = path.join(TEMPLATE_DIR, 'chart-template.html');
+async function loadTemplate(name = 'chart-template.html') {
+    const templatePath = path.join(TEMPLATE_DIR, name);
     
     try {
-        const template = await fs.readFile(templatePath, 'utf8');
-        console.log('📄 Template loaded successfully');
-        return template;
+        const source = await fs.readFile(templatePath, 'utf8');
+        const partials = await loadPartials(PARTIALS_DIR);
+        console.log(`📄 Template loaded successfully: ${name} (${Object.keys(partials).length} partials)`);
+        return { name, source, partials };
     } catch (error) {
         console.error('❌ Error loading template:', error);
         throw error;
@@ -61,68 +96,101 @@ async function loadTemplate() {
 }
 
 /**
- * 차트 데이터를 JavaScript 객체 배열로 변환
+ * kworb 통계에 없는 값(파일 가져오기 등)을 자체 차트 히스토리로 보완
+ */
+function mergeChartStats(stats, history, period = 'weekly') {
+    if (!history) return stats || null;
+    
+    const merged = { ...(stats || {}) };
+    
+    if (!Number.isFinite(merged.positionChange) && !merged.chartStatus) {
+        merged.positionChange = history.movement;
+        merged.chartStatus = { 'NEW': 'NEW', 'RE-ENTRY': 'RE' }[history.status] || null;
+    }
+    
+    if (!Number.isFinite(merged.peakPosition)) {
+        merged.peakPosition = history.peakPosition;
+    }
+    
+    const countField = period === 'daily' ? 'daysOnChart' : 'weeksOnChart';
+    if (!Number.isFinite(merged[countField])) {
+        merged[countField] = history.periodsOnChart;
+    }
+    
+    return merged;
+}
+
+/**
+ * 영상 썸네일 (가장 큰 이미지, 수집된 썸네일이 없으면 영상 ID로 만든 기본 썸네일)
+ */
+function getVideoThumbnail(youtube) {
+    const thumbnails = youtube.thumbnails || {};
+    const size = THUMBNAIL_SIZES.find(key => thumbnails[key] && thumbnails[key].url);
+    
+    if (size) {
+        const { url, width = null, height = null } = thumbnails[size];
+        return { url, width, height };
+    }
+    
+    return { url: `https://i.ytimg.com/vi/${youtube.videoId}/hqdefault.jpg`, width: 480, height: 360 };
+}
+
+/**
+ * 차트 데이터를 페이지에 삽입할 객체 배열로 변환
  */
-function generateChartDataJS(youtubeData) {
-    console.log('🔄 Converting data to JavaScript format...');
+function generateChartData(youtubeData, period = 'weekly') {
+    console.log('🔄 Converting data to page format...');
     
     const chartData = youtubeData.map(item => {
         const chartItem = {
             rank: item.rank,
             artist: item.artist,
+            featuredArtists: item.featuredArtists || [],
             title: item.title,
             album: item.album || 'Unknown Album',
-            credits: item.credits || []
+            credits: normalizeCredits(item.credits),
+            stats: mergeChartStats(item.stats, item.history, period)
         };
         
-        // YouTube 데이터 추가
+        // YouTube 데이터 추가 (youtubeId는 대표 영상, videos는 플레이어가 전환할 종류별 영상)
         if (item.youtube && item.youtube.videoId) {
+            const videos = Array.isArray(item.youtube.videos) ? item.youtube.videos : [item.youtube];
             chartItem.youtubeId = item.youtube.videoId;
             chartItem.youtubeUrl = item.youtube.url;
+            chartItem.videos = videos.map(video => ({ type: video.type || 'mv', id: video.videoId }));
+            chartItem.thumbnail = getVideoThumbnail(item.youtube);
+        }
+        
+        // 수동 보정이 적용된 필드 기록
+        if (Array.isArray(item.overrides) && item.overrides.length > 0) {
+            chartItem.overrides = item.overrides;
         }
         
         return chartItem;
     });
     
-    // JavaScript 코드로 변환
-    const jsCode = `const chartData = ${JSON.stringify(chartData, null, 4)};`;
-    
-    console.log(`✅ Generated JavaScript data for ${chartData.length} chart entries`);
-    return jsCode;
+    console.log(`✅ Generated page data for ${chartData.length} chart entries`);
+    return chartData;
 }
 
 /**
- * 현재 날짜 정보 생성
+ * 차트 기간 기준 날짜 정보 생성 (차트 기간이 없으면 실행 날짜로 추정)
  */
-function generateDateInfo() {
+function generateDateInfo(chartPeriod, period = 'weekly') {
     const now = new Date();
-    const options = { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric',
-        timeZone: 'UTC'
-    };
-    
-    const formattedDate = now.toLocaleDateString('en-US', options);
-    const weekNumber = getWeekNumber(now);
+    const resolvedPeriod = chartPeriod || estimateChartPeriod(period, now);
     
     return {
-        date: formattedDate,
-        week: weekNumber,
-        year: now.getFullYear(),
+        date: formatPeriodRange(resolvedPeriod),
+        week: resolvedPeriod.isoWeek,
+        weekLabel: resolvedPeriod.isoWeekLabel,
+        year: resolvedPeriod.isoYear,
+        startDate: resolvedPeriod.startDate,
+        endDate: resolvedPeriod.endDate,
         timestamp: now.toISOString()
     };
 }
 
-/**
- * 주차 계산
- */
-function getWeekNumber(date) {
-    const firstDayOfYear = new Date(date.getFullYear(), 0, 1);
-    const pastDaysOfYear = (date - firstDayOfYear) / 86400000;
-    return Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
-}
-
 /**
  * 통계 정보 생성
  */
@@ -130,24 +198,16 @@ function generateStats(youtubeData) {
     const stats = {
         totalTracks: youtubeData.length,
         tracksWithVideos: youtubeData.filter(item => item.youtube).length,
-        uniqueArtists: [...new Set(youtubeData.map(item => item.artist))].length,
+        uniqueArtists: new Set(youtubeData.flatMap(item => getTrackArtists(item))).size,
         topProducers: {},
         topLabels: {}
     };
     
-    // 프로듀서 통계
+    // 프로듀서 통계 (표준 역할 PRODUCER, 한 곡에서 같은 사람은 한 번만)
     youtubeData.forEach(item => {
-        if (item.credits) {
-            item.credits.forEach(credit => {
-                if (credit.role === 'PRODUCER') {
-                    const producers = credit.people.split(', ');
-                    producers.forEach(producer => {
-                        const cleanProducer = producer.trim();
-                        stats.topProducers[cleanProducer] = (stats.topProducers[cleanProducer] || 0) + 1;
-                    });
-                }
-            });
-        }
+        getPeopleByRole(item.credits, 'PRODUCER').forEach(producer => {
+            stats.topProducers[producer] = (stats.topProducers[producer] || 0) + 1;
+        });
     });
     
     // 상위 프로듀서 정렬
@@ -164,62 +224,187 @@ function generateStats(youtubeData) {
 }
 
 /**
- * HTML 템플릿에 데이터 삽입
+ * 병합 데이터 파일(최신 파일 또는 스냅샷) → 페이지 데이터 (chartPeriod 기본값은 파일의 차트 기간)
  */
-function injectDataIntoTemplate(template, chartDataJS, dateInfo, stats) {
-    console.log('🔧 Injecting data into template...');
-    
-    let html = template;
-    
-    // 차트 데이터 삽입
-    html = html.replace('{{CHART_DATA}}', chartDataJS);
+function preparePageData(mergedFile, period = 'weekly', chartPeriod = mergedFile.chartPeriod) {
+    // 수동 보정 파일에서 숨김 처리한 곡은 페이지에서 제외
+    const youtubeData = mergedFile.data.filter(item => !item.hidden);
     
-    // 날짜 정보 삽입
-    html = html.replace('{{CHART_DATE}}', dateInfo.date);
-    html = html.replace('{{CHART_WEEK}}', `Week ${dateInfo.week}`);
-    html = html.replace('{{CHART_YEAR}}', dateInfo.year);
-    html = html.replace('{{TIMESTAMP}}', dateInfo.timestamp);
-    
-    // 통계 정보 삽입
-    html = html.replace('{{TOTAL_TRACKS}}', stats.totalTracks);
-    html = html.replace('{{TRACKS_WITH_VIDEOS}}', stats.tracksWithVideos);
-    html = html.replace('{{UNIQUE_ARTISTS}}', stats.uniqueArtists);
-    html = html.replace('{{VIDEO_SUCCESS_RATE}}', Math.round((stats.tracksWithVideos / stats.totalTracks) * 100));
+    return {
+        youtubeData,
+        chartData: generateChartData(youtubeData, period),
+        dateInfo: generateDateInfo(chartPeriod, period),
+        stats: generateStats(youtubeData)
+    };
+}
+
+/**
+ * HTML 템플릿에 데이터 삽입 (차트 데이터는 #chart-data JSON 블록, 값은 HTML 이스케이프)
+ *
+ * rootPath는 페이지에서 출력 디렉토리 최상위까지의 상대 경로, navigation은 이전/다음 기간과 아카이브 목록 링크,
+ * trackPagesPath는 곡별 페이지 디렉토리 (플레이어의 곡별 페이지 링크)
+ */
+function injectDataIntoTemplate(template, chartData, dateInfo, stats, country = 'global', period = 'weekly', { rootPath = '', navigation = null, trackPagesPath = '' } = {}) {
+    console.log('🔧 Injecting data into template...');
     
-    // 상위 프로듀서 정보
-    const topProducersList = Object.entries(stats.topProducers)
-        .map(([name, count]) => `${name} (${count})`)
-        .join(', ');
-    html = html.replace('{{TOP_PRODUCERS}}', topProducersList || 'N/A');
+    const html = renderTemplate(template.source, {
+        chartTitle: `${getCountryLabel(country)} ${getPeriodLabel(period)}`,
+        chartData,
+        dateInfo,
+        stats,
+        rootPath,
+        trackPagesPath,
+        navigation: navigation || { previous: null, next: null, index: `${rootPath}${getArchiveIndexPath(period)}` }
+    }, { name: template.name, partials: template.partials });
     
     console.log('✅ Data injection completed');
     return html;
 }
 
 /**
- * HTML 파일 저장
+ * 출력 디렉토리 기준 경로에 파일 저장 (하위 디렉토리 생성)
  */
-async function saveHTMLFile(html) {
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `chart-${timestamp}.html`;
-    const filepath = path.join(OUTPUT_DIR, filename);
-    
+async function writeOutputFile(relativePath, content) {
+    const filepath = path.join(OUTPUT_DIR, relativePath);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, content, 'utf8');
+    return filepath;
+}
+
+/**
+ * HTML 파일 저장 (chartKey는 kr, kr-daily 형식, isDefault인 차트는 index.html로도 저장)
+ *
+ * 기간별 페이지는 아카이브(archive/<차트 키>/<날짜>.html)에 저장된다.
+ */
+async function saveHTMLFile(html, chartKey = 'global', isDefault = true) {
     try {
-        await fs.writeFile(filepath, html, 'utf8');
-        console.log(`💾 HTML file saved to: ${filepath}`);
+        // 국가/기간별 고정 페이지 (예: dist/kr.html, dist/kr-daily.html)
+        const chartPath = await writeOutputFile(`${chartKey}.html`, html);
+        console.log(`🔗 Chart page created: ${chartPath}`);
         
         // index.html로도 복사 (GitHub Pages용)
-        const indexPath = path.join(OUTPUT_DIR, 'index.html');
-        await fs.writeFile(indexPath, html, 'utf8');
-        console.log(`🔗 Index file created: ${indexPath}`);
+        let indexPath = null;
+        if (isDefault) {
+            indexPath = await writeOutputFile('index.html', html);
+            console.log(`🔗 Index file created: ${indexPath}`);
+        }
         
-        return { filepath, indexPath };
+        return { chartPath, indexPath };
     } catch (error) {
         console.error('❌ Error saving HTML file:', error);
         throw error;
     }
 }
 
+/**
+ * 곡별 페이지 데이터 (제목/설명은 공유 미리보기에 사용)
+ */
+function buildTrackPageContext(track, index, pageData, country = 'global', period = 'weekly', date) {
+    const { chartData, dateInfo, stats } = pageData;
+    const chartKey = getChartKey(country, period);
+    const chartTitle = `${getCountryLabel(country)} ${getPeriodLabel(period)}`;
+    const artistLabel = track.featuredArtists.length > 0 ? `${track.artist} feat. ${track.featuredArtists.join(', ')}` : track.artist;
+    const producers = [...new Set(track.credits.filter(credit => credit.role === 'PRODUCER').flatMap(credit => credit.people))];
+    const toLink = neighbor => neighbor && {
+        url: `${neighbor.rank}.html`,
+        label: `#${neighbor.rank} ${neighbor.artist} - ${neighbor.title}`
+    };
+    
+    return {
+        chartTitle,
+        rootPath: '../../../',
+        dateInfo,
+        stats,
+        track,
+        rankLabel: String(track.rank).padStart(2, '0'),
+        artistLabel,
+        credits: track.credits.map(credit => ({
+            category: credit.category || 'other',
+            rawRole: credit.rawRole || credit.role,
+            role: credit.role.replace(/_/g, ' '),
+            people: credit.people.join(', ')
+        })),
+        pageTitle: `#${track.rank} ${artistLabel} - ${track.title} | SPOTIFY ${chartTitle}`,
+        description: [
+            `#${track.rank} on the Spotify ${chartTitle} chart, ${dateInfo.weekLabel} (${dateInfo.date})`,
+            producers.length > 0 ? `Produced by ${producers.join(', ')}` : null
+        ].filter(Boolean).join('. '),
+        pageUrl: SITE_URL ? `${SITE_URL}/${getTrackPagePath(chartKey, date, track.rank)}` : null,
+        playerUrl: `../${date}.html#${track.rank}`,
+        previousTrack: toLink(chartData[index - 1]) || null,
+        nextTrack: toLink(chartData[index + 1]) || null
+    };
+}
+
+/**
+ * 차트 기간의 곡마다 곡별 페이지 생성
+ */
+async function generateTrackPages(template, pageData, country = 'global', period = 'weekly', date) {
+    const chartKey = getChartKey(country, period);
+    
+    for (const [index, track] of pageData.chartData.entries()) {
+        const html = renderTemplate(template.source, buildTrackPageContext(track, index, pageData, country, period, date), {
+            name: template.name,
+            partials: template.partials
+        });
+        await writeOutputFile(getTrackPagePath(chartKey, date, track.rank), html);
+    }
+    
+    return pageData.chartData.length;
+}
+
+/**
+ * 저장된 스냅샷마다 아카이브 페이지 생성, 아카이브 목록 항목 반환 (최신 기간부터)
+ */
+async function generateArchivePages(template, trackTemplate, snapshots, country = 'global', period = 'weekly') {
+    const chartKey = getChartKey(country, period);
+    const rootPath = '../../';
+    const pages = [];
+    let trackPages = 0;
+    
+    for (const snapshot of snapshots) {
+        const pageData = preparePageData(snapshot.file, period, getSnapshotChartPeriod(snapshot, period));
+        const { chartData, dateInfo, stats } = pageData;
+        const navigation = getArchiveNavigation(snapshots, snapshot.date, country, period, rootPath);
+        const trackPagesPath = `${rootPath}${getTrackPagesDir(chartKey, snapshot.date)}`;
+        const html = injectDataIntoTemplate(template, chartData, dateInfo, stats, country, period, { rootPath, navigation, trackPagesPath });
+        const pagePath = getArchivePagePath(chartKey, snapshot.date);
+        
+        await writeOutputFile(pagePath, html);
+        trackPages += await generateTrackPages(trackTemplate, pageData, country, period, snapshot.date);
+        pages.push({
+            date: snapshot.date,
+            label: getArchiveLabel(snapshot, period),
+            path: pagePath,
+            topTrack: chartData[0] ? { artist: chartData[0].artist, title: chartData[0].title } : null
+        });
+    }
+    
+    console.log(`🗄️ ${chartKey} archive pages generated: ${pages.length} (${trackPages} track pages)`);
+    return pages.reverse();
+}
+
+/**
+ * 아카이브 목록 페이지 생성 (charts: { chartKey, title, pages })
+ */
+async function generateArchiveIndex(template, charts, period = 'weekly') {
+    const rootPath = '../';
+    const html = renderTemplate(template.source, {
+        chartTitle: `${getPeriodLabel(period)} ARCHIVE`,
+        rootPath,
+        totalPages: charts.reduce((sum, chart) => sum + chart.pages.length, 0),
+        charts: charts.map(chart => ({
+            title: chart.title,
+            latestUrl: `${rootPath}${chart.chartKey}.html`,
+            pages: chart.pages.map(page => ({ ...page, url: `${rootPath}${page.path}` }))
+        }))
+    }, { name: template.name, partials: template.partials });
+    
+    const indexPath = await writeOutputFile(getArchiveIndexPath(period), html);
+    console.log(`🗂️ Archive index saved to: ${indexPath}`);
+    return indexPath;
+}
+
 /**
  * 정적 자산 복사 (CSS, JS, 이미지 등)
  */
@@ -251,29 +436,40 @@ async function copyStaticAssets() {
 /**
  * 메타데이터 파일 생성
  */
-async function generateMetadata(youtubeData, dateInfo, stats) {
+async function generateMetadata(youtubeData, dateInfo, stats, country = 'global', period = 'weekly', isDefault = true) {
+    const chartKey = getChartKey(country, period);
     const metadata = {
         generated: dateInfo.timestamp,
         version: '1.0.0',
         source: 'kworb.net + tidal + youtube',
+        country,
+        period,
         chartInfo: {
             date: dateInfo.date,
             week: dateInfo.week,
+            weekLabel: dateInfo.weekLabel,
             year: dateInfo.year,
+            startDate: dateInfo.startDate,
+            endDate: dateInfo.endDate,
             range: `1-${youtubeData.length}`
         },
         statistics: stats,
         dataFiles: {
-            chart: 'latest-chart.json',
-            credits: 'latest-credits.json',
-            youtube: 'latest-youtube.json'
+            chart: `latest-chart-${chartKey}.json`,
+            credits: `latest-credits-${chartKey}.json`,
+            youtube: `latest-youtube-${chartKey}.json`,
+            merged: `latest-merged-${chartKey}.json`
         }
     };
     
-    const metadataPath = path.join(OUTPUT_DIR, 'metadata.json');
+    const metadataPath = path.join(OUTPUT_DIR, `metadata-${chartKey}.json`);
     await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
     console.log(`📋 Metadata saved to: ${metadataPath}`);
     
+    if (isDefault) {
+        await fs.writeFile(path.join(OUTPUT_DIR, 'metadata.json'), JSON.stringify(metadata, null, 2));
+    }
+    
     return metadata;
 }
 
@@ -287,35 +483,62 @@ async function main() {
         // 1. 출력 디렉토리 준비
         await ensureOutputDir();
         
-        // 2. 데이터 로드
-        const youtubeData = await loadLatestYouTubeData();
         const template = await loadTemplate();
+        const archiveTemplate = await loadTemplate('archive-template.html');
+        const trackTemplate = await loadTemplate('track-template.html');
+        const countries = resolveCountries();
+        const period = resolvePeriod();
+        const archiveCharts = [];
+        const results = {};
         
-        // 3. 데이터 변환
-        const chartDataJS = generateChartDataJS(youtubeData);
-        const dateInfo = generateDateInfo();
-        const stats = generateStats(youtubeData);
-        
-        // 4. HTML 생성
-        const html = injectDataIntoTemplate(template, chartDataJS, dateInfo, stats);
+        // 첫 번째 국가의 주간 차트 페이지가 index.html이 됨 (일간 차트는 index.html을 덮어쓰지 않음)
+        for (const [index, country] of countries.entries()) {
+            const isDefault = index === 0 && period === 'weekly';
+            const chartKey = getChartKey(country, period);
+            
+            // 2. 데이터 로드 (최신 병합 데이터와 아카이브용 스냅샷)
+            const mergedFile = await loadLatestMergedData(country, period);
+            const snapshots = await loadArchiveSnapshots(DATA_DIR, country, period);
+            
+            // 3. 데이터 변환
+            const { youtubeData, chartData, dateInfo, stats } = preparePageData(mergedFile, period);
+            
+            // 최신 데이터의 스냅샷이 없으면(이전 형식 등) 아카이브에 최신 데이터를 추가
+            if (!snapshots.some(snapshot => snapshot.date === dateInfo.endDate)) {
+                snapshots.push({ date: dateInfo.endDate, kind: 'merged', file: mergedFile });
+                snapshots.sort((a, b) => a.date.localeCompare(b.date));
+            }
+            
+            // 4. HTML 생성 (헤더에 이전 기간/아카이브 링크, 곡별 페이지는 이번 기간 아카이브)
+            const navigation = getArchiveNavigation(snapshots, dateInfo.endDate, country, period);
+            const trackPagesPath = getTrackPagesDir(chartKey, dateInfo.endDate);
+            const html = injectDataIntoTemplate(template, chartData, dateInfo, stats, country, period, { navigation, trackPagesPath });
+            
+            // 5. 파일 저장 (최신 페이지와 모든 스냅샷의 아카이브/곡별 페이지)
+            const files = await saveHTMLFile(html, chartKey, isDefault);
+            const archivePages = await generateArchivePages(template, trackTemplate, snapshots, country, period);
+            archiveCharts.push({ chartKey, title: `${getCountryLabel(country)} ${getPeriodLabel(period)}`, pages: archivePages });
+            
+            // 6. 메타데이터 생성
+            const metadata = await generateMetadata(youtubeData, dateInfo, stats, country, period, isDefault);
+            
+            console.log(`📄 ${chartKey} files generated:`);
+            Object.values(files).filter(Boolean).forEach(file => console.log(`   - ${file}`));
+            console.log(`📊 Chart info: ${stats.totalTracks} tracks, ${stats.tracksWithVideos} with videos`);
+            console.log(`🎯 Success rate: ${Math.round((stats.tracksWithVideos / stats.totalTracks) * 100)}%`);
+            
+            results[chartKey] = { ...files, archivePages: archivePages.length, metadata };
+        }
         
-        // 5. 파일 저장
-        const { filepath, indexPath } = await saveHTMLFile(html);
+        // 7. 아카이브 목록 생성
+        await generateArchiveIndex(archiveTemplate, archiveCharts, period);
         
-        // 6. 정적 자산 복사
+        // 8. 정적 자산 복사
         await copyStaticAssets();
         
-        // 7. 메타데이터 생성
-        const metadata = await generateMetadata(youtubeData, dateInfo, stats);
-        
         console.log('✅ HTML generation completed successfully!');
-        console.log(`📄 Files generated:`);
-        console.log(`   - ${filepath}`);
-        console.log(`   - ${indexPath}`);
-        console.log(`📊 Chart info: ${stats.totalTracks} tracks, ${stats.tracksWithVideos} with videos`);
-        console.log(`🎯 Success rate: ${Math.round((stats.tracksWithVideos / stats.totalTracks) * 100)}%`);
         
-        return { filepath, indexPath, metadata };
+        return results;
     } catch (error) {
         console.error('❌ HTML generation failed:', error);
         process.exit(1);
@@ -328,9 +551,12 @@ if (require.main === module) {
 }
 
 module.exports = {
-    generateChartDataJS,
+    generateChartData,
     injectDataIntoTemplate,
     saveHTMLFile,
+    generateTrackPages,
+    generateArchivePages,
+    generateArchiveIndex,
     generateMetadata,
     main
 };
@@ -2,188 +2,328 @@
 
 /**
  * YouTube Data API v3를 사용하여 각 곡의 공식 뮤직비디오 링크를 수집하는 스크립트
+ *
+ * 차트 데이터(latest-chart)를 입력으로 받아 곡별 YouTube 결과만 저장하므로 크레딧 수집과 따로(동시에) 실행할 수 있다.
+ * 차트, 크레딧, YouTube 결과는 merge-chart-data.js가 트랙 식별 키로 합친다.
+ * search.list/videos.list 호출은 검색 제공자(lib/youtube-providers)를 통해 하며, 기본 제공자는 YouTube Data API다.
  */
 
-const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
+const { resolveCountries, resolvePeriod, getSnapshotFileName, getLatestFilePath } = require('./lib/chart-config');
+const { getPeriodDateKey } = require('./lib/chart-period');
+const { loadLatestChartData } = require('./lib/chart-data');
+const { loadOverrides, warnUnmatchedOverrides, applyOverrides } = require('./lib/overrides');
+const { VIDEO_TYPES, getPrimaryArtists, getPlayabilityIssue, findBestVideos } = require('./lib/youtube-ranking');
+const { createQuotaLedger } = require('./lib/youtube-quota');
+const { loadYouTubeCache, saveYouTubeCache, lookupVideo, storeVideo, forgetVideo } = require('./lib/youtube-cache');
+const { chunk } = require('./lib/concurrency');
+const { resolveYouTubeProvider } = require('./lib/youtube-providers');
 
 // 환경변수 로드
 require('dotenv').config();
 
-const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
 const DATA_DIR = process.env.DATA_DIR || './data';
 
-// YouTube API 클라이언트 초기화
-const youtube = google.youtube({
-    version: 'v3',
-    auth: YOUTUBE_API_KEY
-});
+// videos.list 한 번에 조회할 수 있는 최대 영상 수
+const VIDEOS_PER_REQUEST = 50;
 
 /**
- * 최신 크레딧 데이터 로드
+ * YouTube API 오류 사유 (quotaExceeded 등), 없으면 null
  */
-async function loadLatestCreditsData() {
-    const creditsPath = path.join(DATA_DIR, 'latest-credits.json');
+function getYouTubeErrorReason(error) {
+    const apiError = error.response && error.response.data && error.response.data.error;
+    return apiError && Array.isArray(apiError.errors) && apiError.errors[0] ? apiError.errors[0].reason : null;
+}
+
+/**
+ * 영상 재생 가능 여부를 확인할 국가 코드 (국가별 차트는 해당 국가, 글로벌 차트는 YOUTUBE_REGION, 기본 US)
+ */
+function getPlaybackRegion(country = 'global') {
+    return country === 'global' ? (process.env.YOUTUBE_REGION || 'US').toUpperCase() : country.toUpperCase();
+}
+
+/**
+ * 할당량 장부에 기록하며 검색 제공자로 YouTube API 호출 (예산을 넘는 요청은 보내지 않고 quotaExceeded 오류)
+ */
+async function callYouTubeApi(provider, ledger, method, params) {
+    if (!ledger.canSpend(method)) {
+        const error = new Error(`YouTube quota budget reached (${ledger.summary().used}/${ledger.budget} units)`);
+        error.quotaExceeded = true;
+        throw error;
+    }
     
+    ledger.spend(method);
     try {
-        const data = await fs.readFile(creditsPath, 'utf8');
-        const creditsData = JSON.parse(data);
-        console.log(`🎵 Loaded credits data: ${creditsData.data.length} entries`);
-        return creditsData.data;
+        return await provider.request(method, params);
     } catch (error) {
-        console.error('❌ Error loading credits data:', error);
-        throw new Error('Credits data not found. Run trigger-manus-agent.js first.');
+        if (getYouTubeErrorReason(error) === 'quotaExceeded') {
+            ledger.markExhausted();
+            error.quotaExceeded = true;
+        }
+        throw error;
     }
 }
 
 /**
- * YouTube에서 특정 곡 검색
+ * 곡별 YouTube 결과 항목 (차트와 합칠 때 쓰는 식별 필드 + youtube, youtubeStatus)
  */
-async function searchYouTubeVideo(artist, title) {
-    const query = `${artist} ${title}`;
+function buildYouTubeEntry(track, youtube, youtubeStatus) {
+    return {
+        rank: track.rank,
+        artist: track.artist,
+        title: track.title,
+        primaryArtists: track.primaryArtists || [],
+        featuredArtists: track.featuredArtists || [],
+        youtube,
+        youtubeStatus
+    };
+}
+
+/**
+ * 영상 상세 정보 조회 (videos.list, 길이/조회수/라이선스/퍼가기·공개 상태), 영상 ID → 항목
+ *
+ * 삭제되었거나 비공개인 영상은 결과에 없다. 50개씩 나눠 요청하며 요청이 실패하면 오류를 던진다.
+ */
+async function fetchVideoDetails(provider, videoIds, ledger) {
+    const details = new Map();
+    
+    for (const ids of chunk(videoIds, VIDEOS_PER_REQUEST)) {
+        const data = await callYouTubeApi(provider, ledger, 'videos', {
+            part: 'snippet,contentDetails,statistics,status',
+            id: ids.join(','),
+            maxResults: ids.length
+        });
+        (data.items || []).forEach(item => details.set(item.id, item));
+    }
+    
+    return details;
+}
+
+/**
+ * 순위를 매긴 후보 → 저장할 영상 항목
+ */
+function toVideoEntry(candidate) {
+    const { video } = candidate;
+    return {
+        type: candidate.type,
+        videoId: video.id.videoId,
+        url: `https://www.youtube.com/watch?v=${video.id.videoId}`,
+        title: video.snippet.title,
+        channelTitle: video.snippet.channelTitle,
+        publishedAt: video.snippet.publishedAt,
+        thumbnails: video.snippet.thumbnails,
+        channelType: candidate.channelType,
+        durationSeconds: candidate.durationSeconds,
+        viewCount: candidate.viewCount,
+        licensedContent: candidate.licensedContent,
+        score: candidate.score,
+        reason: candidate.reason,
+        ...(candidate.skippedVideos.length > 0 && { skippedVideos: candidate.skippedVideos })
+    };
+}
+
+/**
+ * 곡의 youtube 항목: 선호 순서상 첫 번째 영상 필드 + 종류별 영상 목록(videos), 영상이 없으면 null
+ */
+function buildYouTubeResult(videos) {
+    if (videos.length === 0) return null;
+    return { ...videos[0], videos };
+}
+
+/**
+ * youtube 항목의 종류별 영상 목록 (videos가 없는 이전 데이터는 대표 영상 하나)
+ */
+function getYouTubeVideos(youtube) {
+    if (!youtube) return [];
+    return Array.isArray(youtube.videos) ? youtube.videos : [{ type: 'mv', ...youtube }];
+}
+
+/**
+ * YouTube에서 특정 곡 검색 (공식 뮤직비디오, 가사 영상, 음원, 라이브 중 찾은 종류별 영상)
+ */
+async function searchYouTubeVideo(provider, track, ledger = createQuotaLedger(), { region = getPlaybackRegion() } = {}) {
+    const primaryArtists = getPrimaryArtists(track);
+    const query = `${primaryArtists.length > 0 ? primaryArtists.join(' ') : track.artist} ${track.title}`;
     console.log(`🔍 Searching YouTube for: ${query}`);
     
     try {
-        const response = await youtube.search.list({
+        const data = await callYouTubeApi(provider, ledger, 'search', {
             part: 'snippet',
             q: query,
             type: 'video',
             maxResults: 10,
             order: 'relevance',
             videoCategoryId: '10', // Music category
-            regionCode: 'US'
+            regionCode: region
         });
         
-        const videos = response.data.items;
+        const videos = data.items || [];
         
         if (videos.length === 0) {
             console.warn(`⚠️ No videos found for: ${query}`);
             return null;
         }
         
-        // 공식 채널이나 높은 조회수의 비디오 우선 선택
-        const officialVideo = findBestVideo(videos, artist, title);
+        // 후보 상세 정보(길이, 조회수, 라이선스, 채널)로 순위를 매겨 선택 (조회 실패 시 스니펫만 사용)
+        let details = null;
+        try {
+            details = await fetchVideoDetails(provider, videos.map(video => video.id.videoId), ledger);
+        } catch (error) {
+            console.warn(`⚠️ Could not load video details, ranking on search snippets only: ${error.message}`);
+        }
+        const bestVideos = findBestVideos(videos, track, details, { region }).map(toVideoEntry);
         
-        if (officialVideo) {
-            const videoUrl = `https://www.youtube.com/watch?v=${officialVideo.id.videoId}`;
-            console.log(`✅ Found video: ${videoUrl}`);
-            return {
-                videoId: officialVideo.id.videoId,
-                url: videoUrl,
-                title: officialVideo.snippet.title,
-                channelTitle: officialVideo.snippet.channelTitle,
-                publishedAt: officialVideo.snippet.publishedAt,
-                thumbnails: officialVideo.snippet.thumbnails
-            };
+        if (bestVideos.length > 0) {
+            bestVideos.forEach(video => {
+                console.log(`✅ Found ${video.type}: ${video.url} (score ${video.score}: ${video.reason})`);
+                (video.skippedVideos || []).forEach(skipped => {
+                    console.log(`   🚫 Skipped ${skipped.videoId} (score ${skipped.score}): ${skipped.issue}`);
+                });
+            });
+            return buildYouTubeResult(bestVideos);
         }
         
+        console.warn(`⚠️ No suitable video among ${videos.length} results for: ${query}`);
+        
         return null;
     } catch (error) {
+        // 할당량 초과는 호출하는 쪽에서 남은 검색을 멈추도록 그대로 전달
+        if (error.quotaExceeded) throw error;
+        
         console.error(`❌ Error searching YouTube for "${query}":`, error.message);
         return null;
     }
 }
 
 /**
- * 최적의 비디오 선택 로직
+ * 캐시된 영상이 아직 있고 재생 가능한지 확인 (videos.list, 50개당 1 단위), 재생 가능한 영상 ID 집합
+ *
+ * 확인하지 못하면 null을 돌려주고 이번 실행은 캐시를 그대로 사용한다.
  */
-function findBestVideo(videos, artist, title) {
-    // 1. 공식 채널 키워드 (VEVO, Records, Music 등)
-    const officialKeywords = ['vevo', 'records', 'music', 'official', artist.toLowerCase()];
+async function verifyCachedVideos(provider, videoIds, ledger, region = getPlaybackRegion()) {
+    if (videoIds.length === 0) return new Set();
     
-    // 2. 제목에서 불필요한 키워드 (cover, remix, live 등)
-    const excludeKeywords = ['cover', 'remix', 'live', 'acoustic', 'karaoke', 'instrumental'];
-    
-    let bestVideo = null;
-    let bestScore = 0;
-    
-    for (const video of videos) {
-        let score = 0;
-        const channelTitle = video.snippet.channelTitle.toLowerCase();
-        const videoTitle = video.snippet.title.toLowerCase();
-        
-        // 공식 채널 점수
-        for (const keyword of officialKeywords) {
-            if (channelTitle.includes(keyword)) {
-                score += 10;
-                break;
-            }
-        }
-        
-        // 제목 정확도 점수
-        if (videoTitle.includes(artist.toLowerCase()) && videoTitle.includes(title.toLowerCase())) {
-            score += 5;
-        }
-        
-        // 공식 비디오 키워드 점수
-        if (videoTitle.includes('official') || videoTitle.includes('music video')) {
-            score += 3;
-        }
-        
-        // 제외 키워드 패널티
-        for (const keyword of excludeKeywords) {
-            if (videoTitle.includes(keyword)) {
-                score -= 5;
-                break;
-            }
-        }
-        
-        // 첫 번째 결과 보너스 (관련성이 높을 가능성)
-        if (videos.indexOf(video) === 0) {
-            score += 2;
-        }
-        
-        if (score > bestScore) {
-            bestScore = score;
-            bestVideo = video;
-        }
+    try {
+        // 응답에 없는 영상(삭제 등)도 재생할 수 없는 것으로 본다
+        const details = await fetchVideoDetails(provider, videoIds, ledger);
+        return new Set(videoIds.filter(videoId => !getPlayabilityIssue(details.get(videoId), region)));
+    } catch (error) {
+        console.warn(`⚠️ Could not re-check cached videos, reusing them as is: ${error.message}`);
+        return null;
     }
+}
+
+/**
+ * youtubeStatus별 곡 수와 재생할 수 없어 다음 순위 영상으로 바꾼 선택 수
+ *
+ * youtubeStatus: found(새로 검색) | cached(캐시 재사용) | not_found | skipped(할당량 예산 초과로 검색 안 함)
+ */
+function summarizeYouTubeStatus(youtubeData) {
+    const count = status => youtubeData.filter(item => item.youtubeStatus === status).length;
+    const replacedIssues = youtubeData
+        .filter(item => item.youtubeStatus === 'found')
+        .flatMap(item => getYouTubeVideos(item.youtube))
+        .filter(video => Array.isArray(video.skippedVideos) && video.skippedVideos.length > 0)
+        .map(video => video.skippedVideos[0].issue);
     
-    return bestVideo;
+    return {
+        total: youtubeData.length,
+        found: count('found'),
+        cached: count('cached'),
+        notFound: count('not_found'),
+        skipped: count('skipped'),
+        replaced: replacedIssues.length,
+        replacedReasons: replacedIssues.reduce((reasons, issue) => ({ ...reasons, [issue]: (reasons[issue] || 0) + 1 }), {})
+    };
 }
 
 /**
  * 모든 곡에 대해 YouTube 링크 수집
+ *
+ * 캐시에 영상이 있는 곡은 존재 여부만 확인해 재사용하고, 나머지 곡만 검색한다.
+ * 할당량 예산에 닿으면 남은 곡은 검색하지 않고 youtubeStatus 'skipped'로 남긴다.
  */
-async function collectAllYouTubeLinks(creditsData) {
-    console.log(`📺 Collecting YouTube links for ${creditsData.length} songs...`);
+async function collectAllYouTubeLinks(provider, chartData, { ledger = createQuotaLedger(), cache = { entries: {} }, useCache = true, region = getPlaybackRegion() } = {}) {
+    console.log(`📺 Collecting YouTube links for ${chartData.length} songs...`);
     
+    // 1. 캐시된 영상 재확인
+    const cachedEntries = new Map();
+    if (useCache) {
+        chartData.forEach((item, index) => {
+            const entry = lookupVideo(cache, item);
+            if (entry) cachedEntries.set(index, entry);
+        });
+    }
+    const cachedIds = [...cachedEntries.values()].flatMap(entry => getYouTubeVideos(entry.youtube).map(video => video.videoId));
+    const availableIds = await verifyCachedVideos(provider, cachedIds, ledger, region);
+    
+    // 2. 캐시에 없거나 더 이상 볼 수 없는 영상만 검색
     const results = [];
-    const delay = 1000; // API 호출 간 1초 대기 (Rate limit 방지)
     
-    for (let i = 0; i < creditsData.length; i++) {
-        const item = creditsData[i];
-        console.log(`\n📊 Processing ${item.rank}/${creditsData.length}: ${item.artist} - ${item.title}`);
+    for (let i = 0; i < chartData.length; i++) {
+        const item = chartData[i];
+        const entry = cachedEntries.get(i);
         
-        try {
-            const youtubeData = await searchYouTubeVideo(item.artist, item.title);
+        if (entry) {
+            // 삭제된 영상은 빼고, 남은 영상이 있으면 재사용
+            const cachedVideos = getYouTubeVideos(entry.youtube);
+            const available = cachedVideos.filter(video => availableIds === null || availableIds.has(video.videoId));
             
-            results.push({
-                ...item,
-                youtube: youtubeData
-            });
+            if (available.length > 0) {
+                const youtube = available.length === cachedVideos.length ? entry.youtube : buildYouTubeResult(available);
+                if (youtube !== entry.youtube) storeVideo(cache, item, youtube);
+                results.push(buildYouTubeEntry(item, youtube, 'cached'));
+                continue;
+            }
+            
+            console.warn(`⚠️ Cached videos for ${item.artist} - ${item.title} are no longer available or playable`);
+            forgetVideo(cache, item);
+        }
+        
+        if (!ledger.canSpend('search')) {
+            results.push(buildYouTubeEntry(item, null, 'skipped'));
+            continue;
+        }
+        
+        console.log(`\n📊 Processing ${item.rank}/${chartData.length}: ${item.artist} - ${item.title}`);
+        
+        try {
+            const youtubeData = await searchYouTubeVideo(provider, item, ledger, { region });
             
-            // API Rate limit 방지를 위한 대기
-            if (i < creditsData.length - 1) {
-                console.log(`⏳ Waiting ${delay}ms before next request...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
+            if (youtubeData) {
+                storeVideo(cache, item, youtubeData);
             }
+            results.push(buildYouTubeEntry(item, youtubeData, youtubeData ? 'found' : 'not_found'));
             
         } catch (error) {
+            if (error.quotaExceeded) {
+                console.warn(`⚠️ ${error.message}, skipping remaining searches`);
+                ledger.markExhausted();
+                results.push(buildYouTubeEntry(item, null, 'skipped'));
+                continue;
+            }
+            
             console.error(`❌ Error processing ${item.artist} - ${item.title}:`, error.message);
             
             // 에러가 발생해도 계속 진행
-            results.push({
-                ...item,
-                youtube: null
-            });
+            results.push(buildYouTubeEntry(item, null, 'not_found'));
         }
     }
     
-    const successCount = results.filter(item => item.youtube !== null).length;
+    const summary = summarizeYouTubeStatus(results);
+    const successCount = summary.found + summary.cached;
     console.log(`\n✅ YouTube link collection completed!`);
-    console.log(`📊 Success rate: ${successCount}/${results.length} (${Math.round(successCount/results.length*100)}%)`);
+    console.log(`📊 Success rate: ${successCount}/${results.length} (${Math.round(successCount/results.length*100)}%), ${summary.cached} from cache`);
+    const typeCounts = VIDEO_TYPES.map(type => `${type} ${results.filter(item => getYouTubeVideos(item.youtube).some(video => video.type === type)).length}`);
+    console.log(`🎞️  Video types: ${typeCounts.join(', ')}`);
+    if (summary.replaced > 0) {
+        const reasons = Object.entries(summary.replacedReasons).map(([issue, count]) => `${issue} ${count}`).join(', ');
+        console.log(`🚫 Replaced ${summary.replaced} picks that cannot be played in ${region} (${reasons})`);
+    }
+    if (summary.skipped > 0) {
+        console.warn(`⚠️ ${summary.skipped} tracks skipped: YouTube quota budget reached`);
+    }
     
     return results;
 }
@@ -191,14 +331,18 @@ async function collectAllYouTubeLinks(creditsData) {
 /**
  * YouTube 링크가 포함된 데이터 저장
  */
-async function saveYouTubeData(youtubeData) {
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `youtube-${timestamp}.json`;
+async function saveYouTubeData(youtubeData, country = 'global', period = 'weekly', chartPeriod = null, { quota = null } = {}) {
+    const filename = getSnapshotFileName('youtube', country, getPeriodDateKey(chartPeriod), period);
     const filepath = path.join(DATA_DIR, filename);
     
     const dataToSave = {
         timestamp: new Date().toISOString(),
         source: 'youtube-api-v3',
+        country,
+        period,
+        chartPeriod,
+        coverage: summarizeYouTubeStatus(youtubeData),
+        quota,
         data: youtubeData
     };
     
@@ -207,7 +351,7 @@ async function saveYouTubeData(youtubeData) {
         console.log(`💾 YouTube data saved to: ${filepath}`);
         
         // 최신 데이터로 링크 생성
-        const latestPath = path.join(DATA_DIR, 'latest-youtube.json');
+        const latestPath = getLatestFilePath(DATA_DIR, 'youtube', country, period);
         await fs.writeFile(latestPath, JSON.stringify(dataToSave, null, 2));
         console.log(`🔗 Latest YouTube data linked: ${latestPath}`);
         
@@ -218,56 +362,52 @@ async function saveYouTubeData(youtubeData) {
     }
 }
 
-/**
- * YouTube API 할당량 확인
- */
-async function checkApiQuota() {
-    try {
-        // 간단한 검색으로 API 상태 확인
-        await youtube.search.list({
-            part: 'snippet',
-            q: 'test',
-            maxResults: 1
-        });
-        console.log('✅ YouTube API is accessible');
-        return true;
-    } catch (error) {
-        console.error('❌ YouTube API error:', error.message);
-        if (error.message.includes('quota')) {
-            throw new Error('YouTube API quota exceeded. Please try again tomorrow.');
-        }
-        throw error;
-    }
-}
-
 /**
  * 메인 실행 함수
  */
 async function main() {
     console.log('🚀 Starting YouTube links collection...');
     
-    if (!YOUTUBE_API_KEY) {
-        throw new Error('YOUTUBE_API_KEY environment variable is required');
-    }
-    
     try {
-        // 1. API 상태 확인
-        await checkApiQuota();
+        const countries = resolveCountries();
+        const period = resolvePeriod();
+        const useCache = !process.argv.includes('--no-cache');
+        const overrides = await loadOverrides();
+        const ledger = createQuotaLedger();
+        const cache = await loadYouTubeCache();
+        const results = {};
         
-        // 2. 크레딧 데이터 로드
-        const creditsData = await loadLatestCreditsData();
+        const provider = resolveYouTubeProvider();
+        console.log(`🔌 YouTube provider: ${provider.description}`);
+        console.log(`🎫 YouTube quota budget: ${ledger.budget} units`);
         
-        // 3. YouTube 링크 수집
-        const youtubeData = await collectAllYouTubeLinks(creditsData);
-        
-        // 4. 데이터 저장
-        const savedFile = await saveYouTubeData(youtubeData);
+        for (const country of countries) {
+            // 1. 차트 데이터 로드
+            const chartFile = await loadLatestChartData(DATA_DIR, country, period);
+            warnUnmatchedOverrides(overrides, chartFile.data, `${country} chart`);
+            
+            // 2. YouTube 링크 수집 후 수동 보정(고정 영상) 적용
+            const region = getPlaybackRegion(country);
+            const collected = await collectAllYouTubeLinks(provider, chartFile.data, { ledger, cache, useCache, region });
+            const youtubeData = applyOverrides(collected, overrides, 'youtube');
+            await saveYouTubeCache(cache);
+            
+            // 3. 데이터 저장
+            const savedFile = await saveYouTubeData(youtubeData, country, period, chartFile.chartPeriod, { quota: ledger.summary() });
+            
+            console.log(`📄 ${country} data saved to: ${savedFile}`);
+            console.log(`📺 ${country} videos found: ${youtubeData.filter(item => item.youtube).length}`);
+            results[country] = youtubeData;
+        }
         
+        const quota = ledger.summary();
+        console.log(`🎫 YouTube quota used: ${quota.used}/${quota.budget} units (search ${quota.calls.search}, videos ${quota.calls.videos})`);
+        if (provider.recorded !== undefined) {
+            console.log(`📼 Recorded ${provider.recorded} YouTube fixtures`);
+        }
         console.log('✅ YouTube links collection completed successfully!');
-        console.log(`📄 Data saved to: ${savedFile}`);
-        console.log(`📺 Total videos found: ${youtubeData.filter(item => item.youtube).length}`);
         
-        return youtubeData;
+        return results;
     } catch (error) {
         console.error('❌ YouTube links collection failed:', error);
         process.exit(1);
@@ -280,7 +420,10 @@ if (require.main === module) {
 }
 
 module.exports = {
+    fetchVideoDetails,
     searchYouTubeVideo,
+    getYouTubeVideos,
+    findBestVideos,
     collectAllYouTubeLinks,
     saveYouTubeData,
     main
@@ -0,0 +1,173 @@
+/**
+ * 차트 항목의 아티스트/곡명 파싱 (주 아티스트, 피처링 아티스트, 정리된 곡명)
+ */
+
+const UNKNOWN_ARTIST = 'Unknown Artist';
+
+// 곡명 안의 피처링 표기: "(w/ X)", "(with X)", "(feat. X)", "[ft. X]"
+const BRACKETED_FEATURE_PATTERN = /\s*[([](?:w\/|with|feat\.?|ft\.?|featuring)\s+([^)\]]+)[)\]]/gi;
+
+// 괄호 없이 끝에 붙은 피처링 표기: "Title feat. X"
+const TRAILING_FEATURE_PATTERN = /\s+(?:feat\.?|ft\.?|featuring)\s+(.+)$/i;
+
+// 아티스트 문자열 안의 피처링 표기: "A feat. B"
+const ARTIST_FEATURE_PATTERN = /\s+(?:feat\.?|ft\.?|featuring)\s+/i;
+
+/**
+ * 구분자가 명시된 아티스트 목록(CSV 열 등)을 이름 배열로 분리
+ *
+ * 구분자로만 나누고 "&", "and"는 이름의 일부로 둔다 ("Mumford & Sons").
+ * 이름 안의 구분자는 구별할 수 없으므로 쉼표로 나누면 "Tyler, The Creator"도 두 명이 된다.
+ */
+function splitArtistList(text, separator = ',') {
+    return String(text || '')
+        .split(separator)
+        .map(name => name.trim())
+        .filter(name => name !== '');
+}
+
+/**
+ * "A, B & C" 형식의 아티스트 문자열을 이름 배열로 분리
+ */
+function splitArtistNames(text) {
+    return String(text || '')
+        .split(/\s*,\s*|\s+&\s+/)
+        .map(name => name.trim())
+        .filter(name => name !== '');
+}
+
+/**
+ * 중복 제거 (대소문자 무시, 처음 등장한 표기 유지)
+ */
+function uniqueNames(names) {
+    const seen = new Set();
+    return names.filter(name => {
+        const key = name.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * 곡명에서 피처링 표기를 떼어내고 피처링 아티스트 목록과 정리된 곡명 반환
+ */
+function extractFeaturedArtists(rawTitle) {
+    const featuredArtists = [];
+
+    let title = String(rawTitle || '').replace(BRACKETED_FEATURE_PATTERN, (match, names) => {
+        featuredArtists.push(...splitArtistNames(names));
+        return '';
+    });
+
+    title = title.replace(TRAILING_FEATURE_PATTERN, (match, names) => {
+        featuredArtists.push(...splitArtistNames(names));
+        return '';
+    });
+
+    return {
+        title: title.replace(/\s{2,}/g, ' ').trim(),
+        featuredArtists: uniqueNames(featuredArtists)
+    };
+}
+
+/**
+ * "Artist - Title" 텍스트 파싱 (링크 마크업이 없을 때 사용)
+ */
+function parseArtistText(rawText) {
+    const text = String(rawText || '').trim();
+    const parts = text.split(' - ');
+
+    if (parts.length < 2) {
+        // 분리가 안 되는 경우 전체를 제목으로
+        const { title, featuredArtists } = extractFeaturedArtists(text);
+        return { primaryArtists: [], featuredArtists, title };
+    }
+
+    // "A feat. B - Title"처럼 아티스트 쪽에 붙은 피처링도 처리
+    const [artistPart, ...artistFeatures] = parts[0].split(ARTIST_FEATURE_PATTERN);
+    const { title, featuredArtists } = extractFeaturedArtists(parts.slice(1).join(' - '));
+
+    return {
+        primaryArtists: uniqueNames(splitArtistNames(artistPart)),
+        featuredArtists: uniqueNames([...artistFeatures.flatMap(splitArtistNames), ...featuredArtists]),
+        title
+    };
+}
+
+/**
+ * kworb "Artist and Title" 셀 파싱
+ *
+ * kworb는 아티스트마다 ../artist/ 링크를, 곡명에 ../track/ 링크를 건다.
+ * " - " 구분자 앞의 아티스트 링크는 주 아티스트, 뒤의 아티스트 링크("(w/ X)")는 피처링 아티스트로 본다.
+ * 아티스트 링크가 하나도 없으면 텍스트 파싱으로 대체한다.
+ */
+function parseKworbArtistCell($, $cell) {
+    const $container = $cell.children('div').length > 0 ? $cell.children('div').first() : $cell;
+    const primaryArtists = [];
+    const linkedFeatures = [];
+    const titleParts = [];
+    let seenSeparator = false;
+
+    $container.contents().each((index, node) => {
+        const $node = $(node);
+        const text = $node.text();
+        const isArtistLink = node.type === 'tag' && ($node.attr('href') || '').includes('/artist/');
+
+        if (!seenSeparator) {
+            if (isArtistLink) {
+                primaryArtists.push(text.trim());
+            } else if (node.type === 'text' && text.includes(' - ')) {
+                seenSeparator = true;
+                titleParts.push(text.slice(text.indexOf(' - ') + 3));
+            }
+            return;
+        }
+
+        if (isArtistLink) {
+            linkedFeatures.push(text.trim());
+        }
+        titleParts.push(text);
+    });
+
+    if (primaryArtists.length === 0 || !seenSeparator) {
+        return parseArtistText($cell.text());
+    }
+
+    const { title, featuredArtists } = extractFeaturedArtists(titleParts.join(''));
+
+    return {
+        primaryArtists: uniqueNames(primaryArtists.filter(name => name !== '')),
+        featuredArtists: uniqueNames([...linkedFeatures, ...featuredArtists].filter(name => name !== '')),
+        title
+    };
+}
+
+/**
+ * 표시용 아티스트 문자열 (주 아티스트가 없으면 Unknown Artist)
+ */
+function formatArtistNames(names) {
+    return names && names.length > 0 ? names.join(', ') : UNKNOWN_ARTIST;
+}
+
+/**
+ * 차트 항목의 전체 아티스트 목록 (primaryArtists가 없는 이전 데이터는 artist 문자열을 분리)
+ */
+function getTrackArtists(item) {
+    if (Array.isArray(item.primaryArtists) && item.primaryArtists.length > 0) {
+        return uniqueNames([...item.primaryArtists, ...(item.featuredArtists || [])]);
+    }
+    return item.artist && item.artist !== UNKNOWN_ARTIST ? splitArtistNames(item.artist) : [];
+}
+
+module.exports = {
+    UNKNOWN_ARTIST,
+    ARTIST_FEATURE_PATTERN,
+    splitArtistNames,
+    splitArtistList,
+    extractFeaturedArtists,
+    parseArtistText,
+    parseKworbArtistCell,
+    formatArtistNames,
+    getTrackArtists
+};
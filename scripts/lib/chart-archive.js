@@ -0,0 +1,135 @@
+/**
+ * 저장된 스냅샷으로 만드는 차트 아카이브 (기간별 고정 URL 페이지, 이전/다음 기간 링크)
+ *
+ * 차트 기간마다 병합 스냅샷(merged-<차트 키>-<날짜>.json)을 사용하고, 없으면 YouTube 스냅샷
+ * (youtube-<차트 키>-<날짜>.json), 그것도 없으면 차트 스냅샷(chart-<차트 키>-<날짜>.json, 글로벌 주간 차트는
+ * 이전 형식 chart-<날짜>.json 포함)으로 대신한다. 페이지 경로는 archive/<차트 키>/<날짜>.html,
+ * 곡별 페이지 경로는 archive/<차트 키>/<날짜>/<순위>.html이다.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_PERIOD, getChartKey, getSnapshotFileName, getSnapshotPattern } = require('./chart-config');
+const { createChartPeriod } = require('./chart-period');
+
+const ARCHIVE_DIR = 'archive';
+
+// 같은 날짜에 여러 스냅샷이 있으면 앞쪽 종류 우선
+const SNAPSHOT_KINDS = ['merged', 'youtube', 'chart'];
+
+/**
+ * 데이터 디렉토리의 페이지용 스냅샷을 날짜순으로 로드 ({ date, kind, file })
+ */
+async function loadArchiveSnapshots(dataDir, country, period = DEFAULT_PERIOD) {
+    const patterns = SNAPSHOT_KINDS.map(kind => ({ kind, pattern: getSnapshotPattern(kind, country, period) }));
+    let files;
+
+    try {
+        files = await fs.readdir(dataDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const snapshotsByDate = new Map();
+
+    for (const file of files) {
+        const kindIndex = patterns.findIndex(({ pattern }) => pattern.test(file));
+        if (kindIndex === -1) continue;
+
+        const { kind, pattern } = patterns[kindIndex];
+        const [, date] = file.match(pattern);
+        // 같은 종류면 이전 형식 파일명(chart-<날짜>.json)보다 새 형식 우선
+        const priority = kindIndex * 2 + (file === getSnapshotFileName(kind, country, date, period) ? 0 : 1);
+        const existing = snapshotsByDate.get(date);
+        if (existing && existing.priority <= priority) continue;
+
+        try {
+            const content = JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf8'));
+            if (Array.isArray(content.data)) {
+                snapshotsByDate.set(date, { date, kind, priority, file: content });
+            }
+        } catch (error) {
+            console.warn(`⚠️ Skipping unreadable archive snapshot ${file}:`, error.message);
+        }
+    }
+
+    return [...snapshotsByDate.values()]
+        .map(({ date, kind, file }) => ({ date, kind, file }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 아카이브 페이지 경로 (출력 디렉토리 기준, 예: archive/kr/2024-01-04.html)
+ */
+function getArchivePagePath(chartKey, date) {
+    return path.posix.join(ARCHIVE_DIR, chartKey, `${date}.html`);
+}
+
+/**
+ * 곡별 페이지 디렉토리 (출력 디렉토리 기준, 예: archive/kr/2024-01-04/)
+ */
+function getTrackPagesDir(chartKey, date) {
+    return `${path.posix.join(ARCHIVE_DIR, chartKey, date)}/`;
+}
+
+/**
+ * 곡별 페이지 경로 (출력 디렉토리 기준, 예: archive/kr/2024-01-04/3.html)
+ */
+function getTrackPagePath(chartKey, date, rank) {
+    return `${getTrackPagesDir(chartKey, date)}${rank}.html`;
+}
+
+/**
+ * 아카이브 목록 페이지 경로 (주간 차트는 archive/index.html, 일간 차트는 archive/index-daily.html)
+ */
+function getArchiveIndexPath(period = DEFAULT_PERIOD) {
+    return path.posix.join(ARCHIVE_DIR, period === DEFAULT_PERIOD ? 'index.html' : `index-${period}.html`);
+}
+
+/**
+ * 스냅샷의 차트 기간 (차트 기간이 없는 이전 스냅샷은 파일명의 날짜로 만듦)
+ */
+function getSnapshotChartPeriod(snapshot, period = DEFAULT_PERIOD) {
+    return snapshot.file.chartPeriod || createChartPeriod(period, snapshot.date);
+}
+
+/**
+ * 아카이브 항목 라벨 (주간 차트는 ISO 주차, 일간 차트는 날짜)
+ */
+function getArchiveLabel(snapshot, period = DEFAULT_PERIOD) {
+    return period === DEFAULT_PERIOD ? getSnapshotChartPeriod(snapshot, period).isoWeekLabel : snapshot.date;
+}
+
+/**
+ * 차트 기간 페이지의 이전/다음 기간 링크 (rootPath는 페이지에서 출력 디렉토리 최상위까지의 상대 경로)
+ */
+function getArchiveNavigation(snapshots, date, country, period = DEFAULT_PERIOD, rootPath = '') {
+    const chartKey = getChartKey(country, period);
+    const toLink = snapshot => snapshot && {
+        date: snapshot.date,
+        label: getArchiveLabel(snapshot, period),
+        url: `${rootPath}${getArchivePagePath(chartKey, snapshot.date)}`
+    };
+
+    const previous = [...snapshots].reverse().find(snapshot => snapshot.date < date);
+    const next = snapshots.find(snapshot => snapshot.date > date);
+
+    return {
+        previous: toLink(previous) || null,
+        next: toLink(next) || null,
+        index: `${rootPath}${getArchiveIndexPath(period)}`
+    };
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    loadArchiveSnapshots,
+    getArchivePagePath,
+    getTrackPagesDir,
+    getTrackPagePath,
+    getArchiveIndexPath,
+    getSnapshotChartPeriod,
+    getArchiveLabel,
+    getArchiveNavigation
+};
@@ -0,0 +1,118 @@
+/**
+ * 차트 국가/기간 설정 및 데이터 파일 경로 헬퍼
+ */
+
+const path = require('path');
+
+const DEFAULT_COUNTRY = 'global';
+const DEFAULT_PERIOD = 'weekly';
+const CHART_PERIODS = ['weekly', 'daily'];
+
+/**
+ * 명령행 인자 값 조회 (예: --country kr)
+ */
+function getArgValue(argv, name) {
+    const index = argv.indexOf(name);
+    return index !== -1 && argv[index + 1] ? argv[index + 1] : null;
+}
+
+/**
+ * 환경변수(CHART_COUNTRIES)에서 수집 대상 kworb 국가 코드 목록 로드
+ */
+function getChartCountries() {
+    const countries = (process.env.CHART_COUNTRIES || DEFAULT_COUNTRY)
+        .split(',')
+        .map(code => code.trim().toLowerCase())
+        .filter(code => code !== '');
+
+    return countries.length > 0 ? [...new Set(countries)] : [DEFAULT_COUNTRY];
+}
+
+/**
+ * 명령행 인자(--country)로 지정된 국가가 있으면 해당 국가만, 없으면 설정된 전체 국가 반환
+ */
+function resolveCountries(argv = process.argv.slice(2)) {
+    const country = getArgValue(argv, '--country');
+    return country ? [country.toLowerCase()] : getChartCountries();
+}
+
+/**
+ * 명령행 인자(--period) 또는 환경변수(CHART_PERIOD)로 차트 기간 결정
+ */
+function resolvePeriod(argv = process.argv.slice(2)) {
+    const period = (getArgValue(argv, '--period') || process.env.CHART_PERIOD || DEFAULT_PERIOD).toLowerCase();
+
+    if (!CHART_PERIODS.includes(period)) {
+        throw new Error(`Unknown chart period: ${period} (expected ${CHART_PERIODS.join('|')})`);
+    }
+
+    return period;
+}
+
+/**
+ * 페이지 헤더 등에 표시할 국가 라벨
+ */
+function getCountryLabel(country) {
+    return country.toUpperCase();
+}
+
+/**
+ * 페이지 헤더 등에 표시할 기간 라벨
+ */
+function getPeriodLabel(period) {
+    return period.toUpperCase();
+}
+
+/**
+ * 국가/기간별 데이터 구분 키 (주간은 국가 코드만, 그 외는 기간을 덧붙임: kr, kr-daily)
+ */
+function getChartKey(country, period = DEFAULT_PERIOD) {
+    return period === DEFAULT_PERIOD ? country : `${country}-${period}`;
+}
+
+/**
+ * 날짜별 스냅샷 파일명 (예: chart-kr-2024-01-01.json, chart-kr-daily-2024-01-01.json)
+ */
+function getSnapshotFileName(kind, country, date, period = DEFAULT_PERIOD) {
+    return `${kind}-${getChartKey(country, period)}-${date}.json`;
+}
+
+/**
+ * 정규식 특수문자 이스케이프
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 날짜별 스냅샷 파일명 패턴 (첫 번째 그룹이 날짜, 글로벌 주간 차트 스냅샷은 이전 형식 chart-<날짜>.json 포함)
+ */
+function getSnapshotPattern(kind, country, period = DEFAULT_PERIOD) {
+    const chartKey = escapeRegExp(getChartKey(country, period));
+    const legacy = kind === 'chart' && country === DEFAULT_COUNTRY && period === DEFAULT_PERIOD ? '|' : '';
+    return new RegExp(`^${escapeRegExp(kind)}-(?:${chartKey}-${legacy})(\\d{4}-\\d{2}-\\d{2})\\.json$`);
+}
+
+/**
+ * 최신 데이터 파일 경로 (예: data/latest-chart-kr.json, data/latest-chart-kr-daily.json)
+ */
+function getLatestFilePath(dataDir, kind, country, period = DEFAULT_PERIOD) {
+    return path.join(dataDir, `latest-${kind}-${getChartKey(country, period)}.json`);
+}
+
+module.exports = {
+    DEFAULT_COUNTRY,
+    DEFAULT_PERIOD,
+    CHART_PERIODS,
+    getArgValue,
+    getChartCountries,
+    resolveCountries,
+    resolvePeriod,
+    getCountryLabel,
+    getPeriodLabel,
+    getChartKey,
+    getSnapshotFileName,
+    escapeRegExp,
+    getSnapshotPattern,
+    getLatestFilePath
+};
@@ -0,0 +1,27 @@
+/**
+ * 크레딧/YouTube 수집 단계가 입력으로 쓰는 최신 차트 데이터 로드
+ */
+
+const fs = require('fs').promises;
+const { DEFAULT_COUNTRY, DEFAULT_PERIOD, getLatestFilePath } = require('./chart-config');
+
+/**
+ * 최신 차트 데이터 파일 로드 (data: 차트 항목, chartPeriod: 차트 기간)
+ */
+async function loadLatestChartData(dataDir, country = DEFAULT_COUNTRY, period = DEFAULT_PERIOD) {
+    const chartPath = getLatestFilePath(dataDir, 'chart', country, period);
+
+    try {
+        const data = await fs.readFile(chartPath, 'utf8');
+        const chartData = JSON.parse(data);
+        console.log(`📊 Loaded ${country} chart data: ${chartData.data.length} entries`);
+        return chartData;
+    } catch (error) {
+        console.error('❌ Error loading chart data:', error);
+        throw new Error('Chart data not found. Run scrape-kworb.js first.');
+    }
+}
+
+module.exports = {
+    loadLatestChartData
+};
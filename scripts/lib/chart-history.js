@@ -0,0 +1,119 @@
+/**
+ * 저장된 차트 스냅샷(chart-<국가>-<날짜>.json)으로 만드는 차트 히스토리
+ *
+ * 트랙 식별 키별로 과거 순위를 모아 지난 순위, 순위 변동, NEW/RE-ENTRY 여부,
+ * 최고 순위, 차트인 횟수(주간 차트는 주 수, 일간 차트는 일 수)를 계산한다.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_COUNTRY, DEFAULT_PERIOD, getSnapshotFileName, getSnapshotPattern } = require('./chart-config');
+const { getTrackKey } = require('./track-identity');
+
+/**
+ * 데이터 디렉토리의 차트 스냅샷을 날짜순으로 로드
+ */
+async function loadChartSnapshots(dataDir, country = DEFAULT_COUNTRY, period = DEFAULT_PERIOD) {
+    const pattern = getSnapshotPattern('chart', country, period);
+    let files;
+
+    try {
+        files = await fs.readdir(dataDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const snapshotsByDate = new Map();
+
+    for (const file of files) {
+        const match = file.match(pattern);
+        if (!match) continue;
+
+        try {
+            const content = JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf8'));
+            if (Array.isArray(content.data)) {
+                // 같은 날짜의 새 형식/이전 형식 파일이 모두 있으면 새 형식 우선
+                if (!snapshotsByDate.has(match[1]) || file === getSnapshotFileName('chart', country, match[1], period)) {
+                    snapshotsByDate.set(match[1], { date: match[1], data: content.data });
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️ Skipping unreadable chart snapshot ${file}:`, error.message);
+        }
+    }
+
+    return [...snapshotsByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 스냅샷 목록으로 히스토리 생성 (트랙 키 → 날짜별 순위)
+ */
+function buildChartHistory(snapshots) {
+    const tracks = new Map();
+
+    for (const snapshot of snapshots) {
+        for (const entry of snapshot.data) {
+            const key = getTrackKey(entry);
+            if (!tracks.has(key)) tracks.set(key, new Map());
+            tracks.get(key).set(snapshot.date, entry.rank);
+        }
+    }
+
+    return {
+        dates: snapshots.map(snapshot => snapshot.date),
+        tracks
+    };
+}
+
+/**
+ * 현재 차트 항목에 히스토리 필드 추가
+ *
+ * currentDate 이전의 스냅샷만 참고하므로 같은 날짜로 다시 실행해도 결과가 바뀌지 않는다.
+ * 비교할 이전 스냅샷이 없으면 history는 null.
+ */
+function applyChartHistory(chartData, history, currentDate) {
+    const previousDates = history.dates.filter(date => date < currentDate);
+    const previousDate = previousDates[previousDates.length - 1];
+
+    if (!previousDate) {
+        return chartData.map(entry => ({ ...entry, history: null }));
+    }
+
+    return chartData.map(entry => {
+        const ranks = history.tracks.get(getTrackKey(entry)) || new Map();
+        const pastRanks = previousDates.filter(date => ranks.has(date)).map(date => ranks.get(date));
+        const previousRank = ranks.has(previousDate) ? ranks.get(previousDate) : null;
+
+        let status;
+        if (pastRanks.length === 0) {
+            status = 'NEW';
+        } else if (previousRank === null) {
+            status = 'RE-ENTRY';
+        } else if (previousRank > entry.rank) {
+            status = 'UP';
+        } else if (previousRank < entry.rank) {
+            status = 'DOWN';
+        } else {
+            status = 'SAME';
+        }
+
+        return {
+            ...entry,
+            history: {
+                previousRank,
+                movement: previousRank === null ? null : previousRank - entry.rank,
+                status,
+                peakPosition: Math.min(entry.rank, ...pastRanks),
+                periodsOnChart: pastRanks.length + 1,
+                firstCharted: previousDates.find(date => ranks.has(date)) || currentDate
+            }
+        };
+    });
+}
+
+module.exports = {
+    loadChartSnapshots,
+    buildChartHistory,
+    applyChartHistory
+};
@@ -0,0 +1,118 @@
+/**
+ * 차트 기간(주간/일간) 계산 헬퍼
+ *
+ * 차트 기간은 실행 날짜가 아니라 소스가 알려주는 차트 날짜를 기준으로 한다.
+ * Spotify 주간 차트는 금요일~목요일 집계이며, 차트 날짜(endDate)는 마지막 날인 목요일이다.
+ */
+
+const DAY_MS = 86400000;
+
+/**
+ * Date → "YYYY-MM-DD" (UTC)
+ */
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * "YYYY-MM-DD" → UTC 자정 Date
+ */
+function toUTCDate(dateString) {
+    return new Date(`${dateString}T00:00:00Z`);
+}
+
+/**
+ * 날짜에 일 수 더하기
+ */
+function addDays(dateString, days) {
+    return formatDate(new Date(toUTCDate(dateString).getTime() + days * DAY_MS));
+}
+
+/**
+ * ISO-8601 주차 계산 (월요일 시작, 목요일이 속한 해가 주차의 연도)
+ */
+function getISOWeek(date) {
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const dayOfWeek = target.getUTCDay() || 7;
+
+    // 같은 주의 목요일로 이동
+    target.setUTCDate(target.getUTCDate() + 4 - dayOfWeek);
+
+    const isoYear = target.getUTCFullYear();
+    const firstDayOfYear = Date.UTC(isoYear, 0, 1);
+    const week = Math.ceil(((target.getTime() - firstDayOfYear) / DAY_MS + 1) / 7);
+
+    return { year: isoYear, week };
+}
+
+/**
+ * 텍스트에서 첫 번째 날짜 추출 ("2025/01/02", "2025-01-02", "2025.01.02")
+ */
+function parseDateText(text) {
+    const match = String(text || '').match(/(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/);
+    if (!match) return null;
+
+    const [, year, month, day] = match;
+    const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return Number.isNaN(toUTCDate(date).getTime()) ? null : date;
+}
+
+/**
+ * 차트 기간 객체 생성
+ */
+function createChartPeriod(type, endDate) {
+    const startDate = type === 'weekly' ? addDays(endDate, -6) : endDate;
+    const { year, week } = getISOWeek(toUTCDate(endDate));
+
+    return {
+        type,
+        startDate,
+        endDate,
+        isoYear: year,
+        isoWeek: week,
+        isoWeekLabel: `${year}-W${String(week).padStart(2, '0')}`
+    };
+}
+
+/**
+ * 소스에서 차트 날짜를 알 수 없을 때 추정값 (주간: 가장 최근에 끝난 목요일, 일간: 어제)
+ */
+function estimateChartPeriod(type, now = new Date()) {
+    const today = formatDate(now);
+
+    if (type === 'daily') {
+        return createChartPeriod(type, addDays(today, -1));
+    }
+
+    const dayOfWeek = toUTCDate(today).getUTCDay();
+    const daysSinceThursday = ((dayOfWeek - 4 + 7) % 7) || 7;
+    return createChartPeriod(type, addDays(today, -daysSinceThursday));
+}
+
+/**
+ * 스냅샷 파일명 등에 쓰는 날짜 키 (차트 기간이 없는 이전 데이터는 실행 날짜)
+ */
+function getPeriodDateKey(chartPeriod) {
+    return chartPeriod && chartPeriod.endDate ? chartPeriod.endDate : formatDate(new Date());
+}
+
+/**
+ * 표시용 기간 문자열 (예: "Dec 27, 2024 - Jan 2, 2025")
+ */
+function formatPeriodRange(chartPeriod) {
+    const options = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' };
+    const start = toUTCDate(chartPeriod.startDate).toLocaleDateString('en-US', options);
+    const end = toUTCDate(chartPeriod.endDate).toLocaleDateString('en-US', options);
+    return start === end ? end : `${start} - ${end}`;
+}
+
+module.exports = {
+    formatDate,
+    addDays,
+    getISOWeek,
+    parseDateText,
+    createChartPeriod,
+    estimateChartPeriod,
+    getPeriodDateKey,
+    formatPeriodRange
+};
@@ -0,0 +1,265 @@
+/**
+ * 로컬 CSV/JSON 파일 차트 소스 (Spotify Charts CSV 내보내기 등)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArtistText, splitArtistList, extractFeaturedArtists, formatArtistNames } = require('../artist-parser');
+const { parseDateText, createChartPeriod } = require('../chart-period');
+
+const CHART_RANGE = parseInt(process.env.CHART_RANGE) || 30;
+
+// 아티스트 열의 기본 구분자 (Spotify Charts CSV의 artist_names는 쉼표), "&"/"and"로는 나누지 않음
+const DEFAULT_ARTIST_SEPARATOR = ',';
+
+// 입력 열 이름(소문자) → 차트 항목 필드. Spotify Charts CSV 열 이름을 포함한다.
+const FIELD_ALIASES = {
+    rank: ['rank', 'position', 'pos'],
+    artist: ['artist', 'artists', 'artist_names'],
+    title: ['title', 'track', 'track_name'],
+    streams: ['streams'],
+    peakPosition: ['peak_rank', 'peak', 'peakposition'],
+    previousRank: ['previous_rank', 'previousrank', 'last_week'],
+    weeksOnChart: ['weeks_on_chart', 'weeksonchart', 'wks'],
+    uri: ['uri', 'spotify_uri'],
+    isrc: ['isrc', 'track_isrc']
+};
+
+/**
+ * CSV 텍스트 파싱 (따옴표로 감싼 필드와 "" 이스케이프 지원)
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmptyRows = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (nonEmptyRows.length === 0) return [];
+
+    const [header, ...records] = nonEmptyRows;
+    const keys = header.map(name => name.trim().replace(/^\uFEFF/, ''));
+
+    return records.map(cells => keys.reduce((obj, key, index) => {
+        obj[key] = (cells[index] || '').trim();
+        return obj;
+    }, {}));
+}
+
+/**
+ * 별칭 목록에서 첫 번째로 값이 있는 필드 조회
+ */
+function pickField(record, field) {
+    const lowerRecord = Object.keys(record).reduce((obj, key) => {
+        obj[key.toLowerCase()] = record[key];
+        return obj;
+    }, {});
+
+    for (const alias of FIELD_ALIASES[field]) {
+        const value = lowerRecord[alias];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+/**
+ * 숫자 필드 파싱 ("1,234" 포함), 값이 없으면 null
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseInt(String(value).replace(/,/g, ''), 10);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 아티스트 필드 → 주 아티스트 배열
+ *
+ * JSON 배열과 JSON 배열 문자열(CSV 셀의 '["Tyler, The Creator", "Kali Uchis"]')은 이름을 그대로 쓰고,
+ * 그 밖의 문자열은 구분자로만 나눈다 (이름에 구분자가 들어간 아티스트는 배열이나 다른 구분자로 줘야 함).
+ */
+function parseArtistField(rawArtist, separator = DEFAULT_ARTIST_SEPARATOR) {
+    let names = rawArtist;
+
+    if (typeof rawArtist === 'string' && rawArtist.trim().startsWith('[')) {
+        try {
+            names = JSON.parse(rawArtist);
+        } catch (error) {
+            names = rawArtist;
+        }
+    }
+
+    return Array.isArray(names)
+        ? names.map(name => String(name).trim()).filter(name => name !== '')
+        : splitArtistList(names, separator);
+}
+
+/**
+ * 가져온 레코드를 kworb 소스와 같은 차트 항목 구조로 변환 (artistSeparator: 아티스트 열 구분자)
+ */
+function normalizeRecord(record, index, { artistSeparator = DEFAULT_ARTIST_SEPARATOR } = {}) {
+    // 이미 파이프라인 형식으로 저장된 항목은 구조를 그대로 유지
+    if (Array.isArray(record.primaryArtists)) {
+        return { ...record, rank: toNumber(record.rank) || index + 1 };
+    }
+
+    const rank = toNumber(pickField(record, 'rank')) || index + 1;
+    const rawArtist = pickField(record, 'artist');
+    const rawTitle = pickField(record, 'title') || '';
+
+    let parsed;
+    if (rawArtist) {
+        const { title, featuredArtists } = extractFeaturedArtists(rawTitle);
+        parsed = { primaryArtists: parseArtistField(rawArtist, artistSeparator), featuredArtists, title };
+    } else {
+        // 아티스트 열이 없으면 "Artist - Title" 형식으로 간주
+        parsed = parseArtistText(rawTitle);
+    }
+
+    const previousRank = toNumber(pickField(record, 'previousRank'));
+    const weeksOnChart = toNumber(pickField(record, 'weeksOnChart'));
+    const hasPreviousRank = previousRank !== null && previousRank > 0;
+
+    let chartStatus = null;
+    if (!hasPreviousRank) {
+        chartStatus = weeksOnChart !== null && weeksOnChart > 1 ? 'RE' : 'NEW';
+    }
+
+    const entry = {
+        rank,
+        artist: formatArtistNames(parsed.primaryArtists),
+        title: parsed.title,
+        primaryArtists: parsed.primaryArtists,
+        featuredArtists: parsed.featuredArtists,
+        rawText: rawArtist ? `${formatArtistNames(parsed.primaryArtists)} - ${rawTitle}` : rawTitle,
+        stats: {
+            positionChange: hasPreviousRank ? previousRank - rank : null,
+            chartStatus,
+            weeksOnChart,
+            peakPosition: toNumber(pickField(record, 'peakPosition')),
+            streams: toNumber(pickField(record, 'streams'))
+        }
+    };
+
+    const uri = pickField(record, 'uri');
+    if (uri) entry.spotifyUri = uri;
+
+    // ISRC가 있으면 크레딧 캐시가 ISRC 키로도 조회한다
+    const isrc = pickField(record, 'isrc');
+    if (isrc) entry.isrc = String(isrc).replace(/[\s-]/g, '').toUpperCase();
+
+    return entry;
+}
+
+/**
+ * 파일 내용을 레코드 배열로 읽기 (.csv 또는 .json, JSON은 배열 또는 { data: [...] })
+ *
+ * 차트 날짜는 JSON의 chartPeriod.endDate/chartDate/date 필드, 없으면 파일명의 날짜
+ * (Spotify Charts 내보내기: regional-global-weekly-2025-01-02.csv)에서 읽는다.
+ */
+async function readRecords(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const fileNameDate = parseDateText(path.basename(filePath));
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        return { records: parseCSV(content), chartDate: fileNameDate };
+    }
+
+    const parsed = JSON.parse(content);
+    const records = Array.isArray(parsed) ? parsed : parsed.data;
+
+    if (!Array.isArray(records)) {
+        throw new Error(`Unsupported JSON chart file: ${filePath} (expected an array or { data: [...] })`);
+    }
+
+    const declaredDate = Array.isArray(parsed)
+        ? null
+        : parseDateText((parsed.chartPeriod && parsed.chartPeriod.endDate) || parsed.chartDate || parsed.date);
+
+    return { records, chartDate: declaredDate || fileNameDate };
+}
+
+/**
+ * 파일에서 차트 데이터 가져오기
+ */
+async function importChartFile(filePath, { artistSeparator = DEFAULT_ARTIST_SEPARATOR } = {}) {
+    console.log(`📂 Importing chart data from: ${filePath}`);
+
+    const { records, chartDate } = await readRecords(filePath);
+    const chartData = records
+        .map((record, index) => normalizeRecord(record, index, { artistSeparator }))
+        .filter(entry => entry.title)
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, CHART_RANGE);
+
+    if (chartData.length === 0) {
+        throw new Error(`No chart entries found in ${filePath}`);
+    }
+
+    chartData.forEach(entry => console.log(`${entry.rank}. ${entry.artist} - ${entry.title}`));
+    console.log(`✅ Successfully imported ${chartData.length} chart entries`);
+    console.log(`🗓️  Chart date: ${chartDate || 'unknown'}`);
+    return { chartData, chartDate };
+}
+
+/**
+ * 차트 소스 인터페이스 구현 (파일 하나가 차트 하나이므로 국가별 수집은 지원하지 않음)
+ */
+function createFileImportSource({ file, artistSeparator = DEFAULT_ARTIST_SEPARATOR } = {}) {
+    if (!file) {
+        throw new Error('File import source requires a file path (--file or CHART_IMPORT_FILE)');
+    }
+
+    return {
+        name: 'file',
+        supportsCountries: false,
+        async fetchChart({ period = 'weekly' } = {}) {
+            const { chartData, chartDate } = await importChartFile(file, { artistSeparator });
+            return {
+                source: `file:${path.basename(file)}`,
+                data: chartData,
+                chartPeriod: chartDate ? createChartPeriod(period, chartDate) : null
+            };
+        }
+    };
+}
+
+module.exports = {
+    parseCSV,
+    parseArtistField,
+    normalizeRecord,
+    importChartFile,
+    createFileImportSource
+};
@@ -0,0 +1,56 @@
+/**
+ * 차트 소스 레지스트리
+ *
+ * 차트 소스는 다음 형태의 객체를 구현한다:
+ *   name              소스 이름 (--source 옵션 값)
+ *   supportsCountries 국가별로 다른 차트를 가져올 수 있는지 여부
+ *   fetchChart({ country, period }) → Promise<{ source, data, chartPeriod }>
+ *     data는 { rank, artist, title, primaryArtists, featuredArtists, rawText, stats } 배열
+ *     chartPeriod는 소스가 알려주는 차트 기간 (lib/chart-period의 createChartPeriod), 알 수 없으면 null
+ */
+
+const { getArgValue } = require('../chart-config');
+const { createKworbSource } = require('./kworb');
+const { createFileImportSource } = require('./file-import');
+
+const CHART_SOURCES = {
+    kworb: createKworbSource,
+    file: createFileImportSource
+};
+
+const DEFAULT_SOURCE = 'kworb';
+
+/**
+ * 이름으로 차트 소스 생성
+ */
+function createChartSource(name = DEFAULT_SOURCE, options = {}) {
+    const factory = CHART_SOURCES[name];
+
+    if (!factory) {
+        throw new Error(`Unknown chart source: ${name} (expected ${Object.keys(CHART_SOURCES).join('|')})`);
+    }
+
+    return factory(options);
+}
+
+/**
+ * 명령행 인자(--source, --file, --artist-separator) 또는 환경변수(CHART_SOURCE, CHART_IMPORT_FILE,
+ * CHART_IMPORT_ARTIST_SEPARATOR)로 차트 소스 결정
+ */
+function resolveChartSource(argv = process.argv.slice(2)) {
+    const fileArg = getArgValue(argv, '--file');
+    const file = fileArg || process.env.CHART_IMPORT_FILE || null;
+    const artistSeparator = getArgValue(argv, '--artist-separator') || process.env.CHART_IMPORT_ARTIST_SEPARATOR || undefined;
+
+    // --file만 지정하면 파일 소스 사용
+    const name = getArgValue(argv, '--source') || (fileArg ? 'file' : null) || process.env.CHART_SOURCE || DEFAULT_SOURCE;
+
+    return createChartSource(name.toLowerCase(), { file, artistSeparator });
+}
+
+module.exports = {
+    CHART_SOURCES,
+    DEFAULT_SOURCE,
+    createChartSource,
+    resolveChartSource
+};
@@ -0,0 +1,223 @@
+/**
+ * kworb.net 차트 소스 (국가별 Spotify 주간/일간 차트 스크래핑)
+ */
+
+const cheerio = require('cheerio');
+const { createHttpClient } = require('../http-client');
+const { parseKworbArtistCell, formatArtistNames } = require('../artist-parser');
+const { parseDateText, createChartPeriod } = require('../chart-period');
+
+const KWORB_BASE_URL = 'https://kworb.net/spotify/country';
+const CHART_RANGE = parseInt(process.env.CHART_RANGE) || 30;
+
+// kworb 요청: 재시도, 국가 간 2초 간격, 변경이 없으면 디스크 캐시 사용
+const kworbClient = createHttpClient({
+    name: 'kworb',
+    headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    },
+    timeout: 30000,
+    minInterval: 2000,
+    cache: true
+});
+
+// kworb 차트 표 헤더 라벨 → 차트 항목 필드 (Days, 7Day, 7Day+는 일간 차트 전용)
+const KWORB_COLUMNS = {
+    'Pos': 'rank',
+    'P+': 'positionChange',
+    'Artist and Title': 'artistAndTitle',
+    'Wks': 'weeksOnChart',
+    'Days': 'daysOnChart',
+    'Pk': 'peakPosition',
+    '(x?)': 'peakCount',
+    'Streams': 'streams',
+    'Streams+': 'streamsChange',
+    '7Day': 'sevenDayStreams',
+    '7Day+': 'sevenDayStreamsChange',
+    'Total': 'totalStreams'
+};
+
+// 숫자 통계가 아닌 열
+const NON_STAT_COLUMNS = ['rank', 'positionChange', 'artistAndTitle'];
+
+// 헤더를 인식하지 못했을 때 사용하는 kworb 주간 차트 기본 열 순서
+const DEFAULT_COLUMN_ORDER = [
+    'rank', 'positionChange', 'artistAndTitle', 'weeksOnChart', 'peakPosition',
+    'peakCount', 'streams', 'streamsChange', 'totalStreams'
+];
+
+/**
+ * 국가 코드와 기간에 해당하는 kworb 차트 URL
+ */
+function getKworbUrl(country, period = 'weekly') {
+    return `${KWORB_BASE_URL}/${country}_${period}.html`;
+}
+
+/**
+ * kworb 숫자 셀 파싱 ("1,234,567", "+12,345", "(x5)" 등), 숫자가 없으면 null
+ */
+function parseKworbNumber(text) {
+    const match = String(text || '').replace(/,/g, '').match(/[+-]?\d+/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * 순위 변동 셀 파싱 ("+3", "-2", "=", "NEW", "RE")
+ */
+function parsePositionChange(text) {
+    const value = String(text || '').trim().toUpperCase();
+    
+    if (value === 'NEW' || value === 'RE') {
+        return { positionChange: null, chartStatus: value };
+    }
+    if (value === '=') {
+        return { positionChange: 0, chartStatus: null };
+    }
+    return { positionChange: parseKworbNumber(value), chartStatus: null };
+}
+
+/**
+ * 헤더 행에서 열 이름별 인덱스 계산 (헤더를 찾지 못하면 기본 열 순서 사용)
+ */
+function getColumnIndexes($, $headerRow) {
+    const indexes = {};
+    
+    $headerRow.find('th, td').each((index, cell) => {
+        const field = KWORB_COLUMNS[$(cell).text().trim()];
+        if (field && indexes[field] === undefined) {
+            indexes[field] = index;
+        }
+    });
+    
+    if (indexes.artistAndTitle === undefined) {
+        return DEFAULT_COLUMN_ORDER.reduce((obj, field, index) => {
+            obj[field] = index;
+            return obj;
+        }, {});
+    }
+    
+    return indexes;
+}
+
+/**
+ * kworb 차트 HTML에서 차트 항목 추출
+ */
+function parseKworbChart(html) {
+    const $ = cheerio.load(html);
+    const chartData = [];
+    const $rows = $('table tr');
+    const columns = getColumnIndexes($, $rows.first());
+    
+    // kworb 테이블에서 데이터 추출
+    $rows.each((index, element) => {
+        if (index === 0) return; // 헤더 스킵
+        if (chartData.length >= CHART_RANGE) return; // 범위 제한
+        
+        const $cells = $(element).find('td');
+        const cell = field => columns[field] === undefined ? '' : $cells.eq(columns[field]).text().trim();
+        
+        // 아티스트와 곡명 추출
+        const artistAndTitle = cell('artistAndTitle');
+        
+        if (artistAndTitle && artistAndTitle !== '') {
+            const rank = parseKworbNumber(cell('rank')) || chartData.length + 1;
+            
+            // 표에 있는 숫자 열만 통계로 저장 (주간: weeksOnChart, 일간: daysOnChart, sevenDayStreams 등)
+            const stats = parsePositionChange(cell('positionChange'));
+            Object.keys(columns)
+                .filter(field => !NON_STAT_COLUMNS.includes(field))
+                .forEach(field => {
+                    stats[field] = parseKworbNumber(cell(field));
+                });
+            
+            // kworb 아티스트 링크 기준으로 주 아티스트/피처링 아티스트/곡명 분리
+            const { primaryArtists, featuredArtists, title } = parseKworbArtistCell($, $cells.eq(columns.artistAndTitle));
+            const artist = formatArtistNames(primaryArtists);
+            
+            chartData.push({
+                rank,
+                artist,
+                title,
+                primaryArtists,
+                featuredArtists,
+                rawText: artistAndTitle,
+                stats
+            });
+            
+            console.log(`${rank}. ${artist} - ${title}`);
+        }
+    });
+    
+    return chartData;
+}
+
+/**
+ * kworb 페이지 제목에서 차트 날짜 추출 (예: "Spotify Weekly Chart - Global - 2025/01/02"), 없으면 null
+ *
+ * 본문 전체에서는 찾지 않는다 (푸터, 갱신 시각 등 다른 날짜가 차트 기간과 스냅샷 파일명이 되지 않도록).
+ * 제목에 날짜가 없으면 수집 단계가 추정 기간을 쓰고 경고를 남긴다.
+ */
+function parseKworbChartDate(html) {
+    const $ = cheerio.load(html);
+    const candidates = [$('.pagetitle').first().text(), $('title').text()];
+    
+    for (const text of candidates) {
+        const date = parseDateText(text);
+        if (date) return date;
+    }
+    return null;
+}
+
+/**
+ * kworb.net에서 차트 데이터 스크래핑
+ */
+async function scrapeKworbChart(country = 'global', period = 'weekly') {
+    const url = getKworbUrl(country, period);
+    console.log(`🌐 Scraping ${country} ${period} chart data from: ${url}`);
+    console.log(`📊 Chart range: 1-${CHART_RANGE}`);
+    
+    try {
+        const response = await kworbClient.get(url);
+        
+        const chartData = parseKworbChart(response.data);
+        
+        if (chartData.length === 0) {
+            throw new Error('No chart data found. Website structure might have changed.');
+        }
+        
+        const chartDate = parseKworbChartDate(response.data);
+        const chartPeriod = chartDate ? createChartPeriod(period, chartDate) : null;
+        
+        console.log(`✅ Successfully scraped ${chartData.length} ${country} chart entries`);
+        console.log(`🗓️  Chart date: ${chartDate || 'unknown'}`);
+        return { chartData, chartPeriod };
+        
+    } catch (error) {
+        console.error(`❌ Error scraping kworb ${country} chart:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * 차트 소스 인터페이스 구현
+ */
+function createKworbSource() {
+    return {
+        name: 'kworb',
+        supportsCountries: true,
+        async fetchChart({ country = 'global', period = 'weekly' } = {}) {
+            const { chartData, chartPeriod } = await scrapeKworbChart(country, period);
+            return { source: getKworbUrl(country, period), data: chartData, chartPeriod };
+        }
+    };
+}
+
+module.exports = {
+    getKworbUrl,
+    parseKworbNumber,
+    parsePositionChange,
+    parseKworbChart,
+    parseKworbChartDate,
+    scrapeKworbChart,
+    createKworbSource
+};
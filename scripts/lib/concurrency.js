@@ -0,0 +1,42 @@
+/**
+ * 동시 실행 수를 제한한 비동기 작업 헬퍼
+ */
+
+/**
+ * 배열을 size 크기의 묶음으로 분할
+ */
+function chunk(items, size) {
+    const chunks = [];
+    const chunkSize = Math.max(1, size);
+
+    for (let i = 0; i < items.length; i += chunkSize) {
+        chunks.push(items.slice(i, i + chunkSize));
+    }
+    return chunks;
+}
+
+/**
+ * 최대 limit개씩 동시에 worker 실행 (결과는 입력 순서대로 반환)
+ *
+ * worker의 예외는 전체를 중단시키지 않도록 호출하는 쪽에서 처리해야 한다.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function runWorker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workerCount = Math.min(Math.max(1, limit), items.length);
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return results;
+}
+
+module.exports = {
+    chunk,
+    mapWithConcurrency
+};
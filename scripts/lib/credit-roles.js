@@ -0,0 +1,195 @@
+/**
+ * 크레딧 역할 정규화
+ *
+ * Manus/TIDAL이 돌려주는 역할 이름("Producer", "Produced By", "Co-Producer" 등)을 고정된 표준 역할과
+ * 분류(production, songwriting, engineering, performance)로 매핑하고, 원래 이름은 rawRole에 남긴다.
+ * people은 이름 하나씩의 배열로 분리한다.
+ *
+ * 각 크레딧은 출처를 선택적으로 가질 수 있다.
+ *   source     출처 제공자 (tidal, agent, override 등)
+ *   sourceUrl  출처 페이지 URL (http/https만 허용)
+ *   confidence 신뢰도 0~1
+ */
+
+const { splitArtistList } = require('./artist-parser');
+
+const CREDIT_CATEGORIES = ['production', 'songwriting', 'engineering', 'performance', 'other'];
+
+// 표준 역할 → 분류
+const CANONICAL_ROLES = {
+    PRODUCER: 'production',
+    EXECUTIVE_PRODUCER: 'production',
+    VOCAL_PRODUCER: 'production',
+    PROGRAMMER: 'production',
+    ARRANGER: 'production',
+    SONGWRITER: 'songwriting',
+    COMPOSER: 'songwriting',
+    LYRICIST: 'songwriting',
+    MIXING_ENGINEER: 'engineering',
+    MASTERING_ENGINEER: 'engineering',
+    RECORDING_ENGINEER: 'engineering',
+    ENGINEER: 'engineering',
+    VOCALS: 'performance',
+    BACKGROUND_VOCALS: 'performance',
+    INSTRUMENTS: 'performance',
+    OTHER: 'other'
+};
+
+// 정규화한 역할 이름에 대한 규칙 (위에서부터 처음 일치하는 규칙 사용)
+const ROLE_RULES = [
+    [/\bexec(utive)? produc/, 'EXECUTIVE_PRODUCER'],
+    [/\bvocal produc/, 'VOCAL_PRODUCER'],
+    [/produc/, 'PRODUCER'],
+    [/master/, 'MASTERING_ENGINEER'],
+    [/\bmix/, 'MIXING_ENGINEER'],
+    [/record|tracking/, 'RECORDING_ENGINEER'],
+    [/engineer/, 'ENGINEER'],
+    [/program/, 'PROGRAMMER'],
+    [/arrang/, 'ARRANGER'],
+    [/lyric|\bwords\b/, 'LYRICIST'],
+    [/compos|\bmusic by\b/, 'COMPOSER'],
+    [/writ/, 'SONGWRITER'],
+    [/background vocal|backing vocal|\bchorus\b/, 'BACKGROUND_VOCALS'],
+    [/vocal|singer/, 'VOCALS'],
+    [/instrument|guitar|bass|drum|keyboard|piano|synth|string|percussion|violin|cello|horn|sax|trumpet/, 'INSTRUMENTS']
+];
+
+/**
+ * 역할 이름 비교용 정규화 ("Co-Producer" → "co producer")
+ */
+function normalizeRoleText(role) {
+    return String(role || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * 원래 역할 이름 → { role: 표준 역할, category }
+ */
+function normalizeRole(rawRole) {
+    const text = normalizeRoleText(rawRole);
+    const rule = ROLE_RULES.find(([pattern]) => pattern.test(text));
+    const role = rule ? rule[1] : 'OTHER';
+    return { role, category: CANONICAL_ROLES[role] };
+}
+
+/**
+ * 참여자 문자열/배열 → 이름 배열 ("A, B; C / D" → ["A", "B", "C", "D"])
+ *
+ * "&", "and"는 이름의 일부일 수 있으므로 나누지 않는다 ("Simon and Garfunkel", "Mumford & Sons"),
+ * 이름에 쉼표가 들어간 아티스트("Earth, Wind & Fire")도 한 사람으로 둔다.
+ * 배열은 항목 하나를 한 사람으로 본다.
+ */
+function parsePeople(people) {
+    const parts = Array.isArray(people)
+        ? people.map(name => String(name || ''))
+        : String(people || '').split(/\s*(?:;|\s\/\s)\s*/).flatMap(part => splitArtistList(part, ','));
+
+    return [...new Set(parts.map(name => name.trim()).filter(name => name !== ''))];
+}
+
+/**
+ * 출처 URL 검증 (http/https가 아니면 null)
+ */
+function normalizeSourceUrl(url) {
+    if (typeof url !== 'string') return null;
+    try {
+        const parsed = new URL(url.trim());
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 신뢰도 정규화 (0~1), 없거나 잘못된 값이면 null
+ *
+ * 백분율은 "85%"처럼 %가 붙었거나 2~100 사이의 정수일 때만 인정한다 (1.5 같은 값은 잘못된 값).
+ */
+function normalizeConfidence(value) {
+    const isPercentText = typeof value === 'string' && value.trim().endsWith('%');
+    const number = typeof value === 'string' ? Number(value.trim().replace(/%$/, '')) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) return null;
+
+    let ratio = number;
+    if (isPercentText) {
+        ratio = number / 100;
+    } else if (number > 1) {
+        ratio = Number.isInteger(number) && number <= 100 ? number / 100 : null;
+    }
+
+    return ratio === null || ratio > 1 ? null : Math.round(ratio * 100) / 100;
+}
+
+/**
+ * 크레딧 출처 필드 정규화 (source가 없고 URL만 있으면 호스트에서 제공자 추정, 예: tidal.com → tidal)
+ */
+function normalizeProvenance(credit) {
+    const provenance = {};
+    const sourceUrl = normalizeSourceUrl(credit.sourceUrl);
+    const confidence = normalizeConfidence(credit.confidence);
+    let source = typeof credit.source === 'string' ? credit.source.trim().toLowerCase() : '';
+
+    if (!source && sourceUrl) {
+        source = new URL(sourceUrl).hostname.replace(/^www\./, '').split('.')[0];
+    }
+
+    if (source) provenance.source = source;
+    if (sourceUrl) provenance.sourceUrl = sourceUrl;
+    if (confidence !== null) provenance.confidence = confidence;
+    return provenance;
+}
+
+/**
+ * 크레딧 항목 하나 정규화 (이미 정규화된 항목에 다시 적용해도 결과가 같음), 참여자가 없으면 null
+ */
+function normalizeCredit(credit) {
+    if (!credit || typeof credit !== 'object') return null;
+
+    const rawRole = typeof credit.rawRole === 'string' && credit.rawRole ? credit.rawRole : credit.role;
+    if (typeof rawRole !== 'string' || rawRole.trim() === '') return null;
+
+    const people = parsePeople(credit.people);
+    if (people.length === 0) return null;
+
+    const normalized = {
+        ...credit,
+        ...normalizeRole(rawRole),
+        rawRole: rawRole.trim(),
+        people
+    };
+    delete normalized.source;
+    delete normalized.sourceUrl;
+    delete normalized.confidence;
+
+    return { ...normalized, ...normalizeProvenance(credit) };
+}
+
+/**
+ * 크레딧 배열 정규화 (잘못된 항목은 제외)
+ */
+function normalizeCredits(credits) {
+    if (!Array.isArray(credits)) return [];
+    return credits.map(normalizeCredit).filter(credit => credit !== null);
+}
+
+/**
+ * 트랙 크레딧에서 특정 표준 역할의 참여자 이름 (중복 제거)
+ */
+function getPeopleByRole(credits, role) {
+    return [...new Set(normalizeCredits(credits)
+        .filter(credit => credit.role === role)
+        .flatMap(credit => credit.people))];
+}
+
+module.exports = {
+    CREDIT_CATEGORIES,
+    CANONICAL_ROLES,
+    normalizeRole,
+    parsePeople,
+    normalizeConfidence,
+    normalizeCredit,
+    normalizeCredits,
+    getPeopleByRole
+};
@@ -0,0 +1,88 @@
+/**
+ * 트랙별 크레딧 캐시 (data/credits-cache.json)
+ *
+ * 주마다 대부분 같은 곡이 차트에 남으므로 한 번 수집한 크레딧을 트랙 식별 키(ISRC가 있으면 ISRC)로 저장해 두고,
+ * 항목마다 저장된 만료 시각(expiresAt)이 지나기 전까지는 Manus에 다시 요청하지 않는다.
+ */
+
+const path = require('path');
+const { getTrackKey } = require('./track-identity');
+const { parseTTLDays, loadJsonCache, saveJsonCache, isFresh, createCacheEntry } = require('./json-cache');
+
+/**
+ * 캐시 파일 경로 (기본 DATA_DIR/credits-cache.json)
+ */
+function getCreditsCachePath() {
+    return process.env.CREDITS_CACHE_FILE || path.join(process.env.DATA_DIR || './data', 'credits-cache.json');
+}
+
+/**
+ * 항목별 기본 TTL(일): 크레딧이 비어 있으면 더 짧게 두어 나중에 다시 수집되도록 함
+ */
+function getDefaultTTLDays(creditItem) {
+    const hasCredits = Array.isArray(creditItem.credits) && creditItem.credits.length > 0;
+    return hasCredits
+        ? parseTTLDays(process.env.CREDITS_CACHE_TTL_DAYS, 90)
+        : parseTTLDays(process.env.CREDITS_CACHE_EMPTY_TTL_DAYS, 7);
+}
+
+/**
+ * 캐시 키 목록 (ISRC 키가 있으면 먼저, 그다음 아티스트/곡명 키)
+ */
+function getCacheKeys(track) {
+    const keys = [];
+    if (track.isrc) keys.push(`isrc:${String(track.isrc).toUpperCase()}`);
+    keys.push(getTrackKey(track));
+    return keys;
+}
+
+/**
+ * 캐시 로드 (파일이 없으면 빈 캐시)
+ */
+function loadCreditsCache(cachePath = getCreditsCachePath()) {
+    return loadJsonCache(cachePath, 'credits');
+}
+
+/**
+ * 캐시 저장 (만료된 항목은 저장하지 않음)
+ */
+function saveCreditsCache(cache, cachePath = getCreditsCachePath(), now = new Date()) {
+    return saveJsonCache(cache, cachePath, now);
+}
+
+/**
+ * 만료되지 않은 캐시 항목 조회, 없으면 null
+ */
+function lookupCredits(cache, track, now = new Date()) {
+    for (const key of getCacheKeys(track)) {
+        const entry = cache.entries[key];
+        if (isFresh(entry, now)) return entry;
+    }
+    return null;
+}
+
+/**
+ * 수집한 크레딧을 캐시에 저장 (ttlDays를 주지 않으면 항목별 기본 TTL)
+ */
+function storeCredits(cache, track, creditItem, { ttlDays = getDefaultTTLDays(creditItem), now = new Date() } = {}) {
+    const entry = createCacheEntry({
+        ...creditItem,
+        artist: track.artist,
+        title: track.title,
+        primaryArtists: track.primaryArtists || []
+    }, ttlDays, now);
+    delete entry.rank;
+
+    getCacheKeys({ ...track, isrc: track.isrc || creditItem.isrc }).forEach(key => {
+        cache.entries[key] = entry;
+    });
+    return entry;
+}
+
+module.exports = {
+    getCreditsCachePath,
+    loadCreditsCache,
+    saveCreditsCache,
+    lookupCredits,
+    storeCredits
+};
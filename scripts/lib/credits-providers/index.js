@@ -0,0 +1,50 @@
+/**
+ * 크레딧 제공자 레지스트리
+ *
+ * 크레딧 제공자는 비동기 작업(task) 방식으로 동작하며 다음 형태의 객체를 구현한다:
+ *   name         제공자 이름 (--provider 옵션 값)
+ *   description  로그에 표시할 설명
+ *   submitTask({ tracks, country, period }) → Promise<taskId>
+ *     tracks는 { rank, artist, title } 배열 (차트 전체 또는 일부 곡)
+ *   getTask(taskId) → Promise<{ status, result, error }>
+ *     status는 running | completed | failed, completed일 때 result는 { artist, title, album, credits } 배열
+ *
+ * 작업 상태 폴링, 시간 초과, 결과 검증과 차트 연결은 trigger-manus-agent.js가 제공자와 관계없이 처리한다.
+ */
+
+const { getArgValue } = require('../chart-config');
+const { createManusProvider } = require('./manus');
+
+const CREDITS_PROVIDERS = {
+    manus: createManusProvider
+};
+
+const DEFAULT_PROVIDER = 'manus';
+
+/**
+ * 이름으로 크레딧 제공자 생성
+ */
+function createCreditsProvider(name = DEFAULT_PROVIDER, options = {}) {
+    const factory = CREDITS_PROVIDERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown credits provider: ${name} (expected ${Object.keys(CREDITS_PROVIDERS).join('|')})`);
+    }
+
+    return factory(options);
+}
+
+/**
+ * 명령행 인자(--provider) 또는 환경변수(CREDITS_PROVIDER)로 크레딧 제공자 결정
+ */
+function resolveCreditsProvider(argv = process.argv.slice(2)) {
+    const name = getArgValue(argv, '--provider') || process.env.CREDITS_PROVIDER || DEFAULT_PROVIDER;
+    return createCreditsProvider(name.toLowerCase());
+}
+
+module.exports = {
+    CREDITS_PROVIDERS,
+    DEFAULT_PROVIDER,
+    createCreditsProvider,
+    resolveCreditsProvider
+};
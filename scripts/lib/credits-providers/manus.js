@@ -0,0 +1,110 @@
+/**
+ * Manus Agent 크레딧 제공자 (Manus /v1/tasks API)
+ *
+ * 로컬에서는 MANUS_API_BASE_URL을 scripts/mock-manus-server.js 주소로 지정하면 API 키/네트워크 없이 동작한다.
+ */
+
+const { createHttpClient } = require('../http-client');
+
+/**
+ * Manus Agent에게 보낼 크레딧 수집 프롬프트 (tracks는 차트 전체 또는 일부 곡)
+ */
+function buildCreditsPrompt(tracks, country = 'global', period = 'weekly') {
+    const chartName = country === 'global' ? '글로벌' : country.toUpperCase();
+    const periodName = period === 'daily' ? '일간' : '주간';
+
+    return `
+다음 ${chartName} Spotify ${periodName} 차트 ${tracks.length}곡의 TIDAL 크레딧 정보를 수집해주세요.
+
+차트 목록:
+${tracks.map(item => `${item.rank}위. ${item.artist} - ${item.title}`).join('\n')}
+
+각 곡에 대해 다음 형식으로 크레딧 정보를 수집해주세요:
+
+{
+    rank: ${tracks[0].rank},
+    artist: "${tracks[0].artist}",
+    title: "${tracks[0].title}",
+    album: "앨범명",
+    credits: [
+        { role: "Producer", people: ["프로듀서1", "프로듀서2"], source: "tidal", sourceUrl: "https://tidal.com/browse/track/<id>/credits", confidence: 0.95 },
+        { role: "Composer", people: ["작곡가1", "작곡가2"], source: "tidal", sourceUrl: "https://tidal.com/browse/track/<id>/credits", confidence: 0.95 },
+        { role: "Lyricist", people: ["작사가1", "작사가2"], source: "tidal", sourceUrl: "https://tidal.com/browse/track/<id>/credits", confidence: 0.95 },
+        { role: "Mastering Engineer", people: ["마스터링 엔지니어"], source: "tidal", sourceUrl: "https://tidal.com/browse/track/<id>/credits", confidence: 0.95 },
+        { role: "Mixing Engineer", people: ["믹싱 엔지니어"], source: "tidal", sourceUrl: "https://tidal.com/browse/track/<id>/credits", confidence: 0.95 },
+        // 기타 모든 크레딧 정보 (역할 이름은 TIDAL 표기 그대로, people은 한 사람씩 배열로)
+    ]
+}
+
+TIDAL에서 각 곡을 검색하여 상세한 크레딧 정보를 수집해주세요.
+각 크레딧에는 출처를 함께 적어주세요:
+- source: 크레딧을 확인한 곳 (TIDAL 크레딧 페이지면 "tidal", 다른 사이트면 사이트 이름, 직접 확인하지 못하고 추정했다면 "agent")
+- sourceUrl: 크레딧을 확인한 페이지 URL
+- confidence: 크레딧이 정확하다고 보는 정도 (0~1, 페이지에서 그대로 확인했으면 높게, 추정이면 낮게)
+결과는 JSON 배열 형태로 제공해주세요.
+`;
+}
+
+/**
+ * Manus 작업 상태 → 제공자 인터페이스 상태 (completed, failed 외에는 실행 중으로 취급)
+ */
+function toTaskStatus(task) {
+    if (task.status === 'completed') {
+        return { status: 'completed', result: task.result };
+    }
+    if (task.status === 'failed') {
+        return { status: 'failed', error: task.error || 'Unknown error' };
+    }
+    return { status: 'running', rawStatus: task.status };
+}
+
+/**
+ * 크레딧 제공자 인터페이스 구현
+ */
+function createManusProvider({
+    apiKey = process.env.MANUS_API_KEY,
+    baseURL = process.env.MANUS_API_BASE_URL || 'https://api.manus.ai',
+    timeout = parseInt(process.env.MANUS_HTTP_TIMEOUT_MS) || 60000
+} = {}) {
+    if (!apiKey) {
+        throw new Error('MANUS_API_KEY environment variable is required');
+    }
+
+    // 작업 생성/상태 조회는 각각 짧은 요청이므로 요청 단위 타임아웃 + 재시도로 처리 (긴 작업 대기는 폴링으로)
+    const manusClient = createHttpClient({
+        name: 'manus',
+        baseURL,
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        },
+        timeout,
+        minInterval: 1000
+    });
+
+    return {
+        name: 'manus',
+        description: `Manus Agent (${baseURL})`,
+        async submitTask({ tracks, country = 'global', period = 'weekly' }) {
+            const response = await manusClient.post('/v1/tasks', {
+                type: 'data_collection',
+                prompt: buildCreditsPrompt(tracks, country, period),
+                parameters: {
+                    source: 'tidal',
+                    format: 'json',
+                    timeout: 1800 // 30분
+                }
+            });
+            return response.data.task_id;
+        },
+        async getTask(taskId) {
+            const response = await manusClient.get(`/v1/tasks/${taskId}`);
+            return toTaskStatus(response.data);
+        }
+    };
+}
+
+module.exports = {
+    buildCreditsPrompt,
+    createManusProvider
+};
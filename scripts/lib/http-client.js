@@ -0,0 +1,212 @@
+/**
+ * 공용 HTTP 요청 모듈 (kworb, Manus, YouTube 공통)
+ *
+ * - 재시도: 네트워크 오류와 408/425/429/5xx 응답을 지수 백오프 + 지터로 재시도하고 Retry-After 헤더를 따른다.
+ *   POST 등 멱등이 아닌 요청은 서버가 처리하지 않았음이 확실한 429/503 응답과 연결 전 오류(ECONNREFUSED, DNS 실패)만 재시도한다.
+ * - 속도 제한: 같은 호스트로 가는 요청 사이에 최소 간격(minInterval)을 둔다.
+ * - 조건부 캐시: cache 옵션을 켠 GET 응답을 디스크에 저장하고 ETag/Last-Modified로 재검증한다.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const NON_IDEMPOTENT_RETRYABLE_STATUSES = [429, 503];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+// 요청이 서버에 닿기 전에 실패한 오류 (멱등이 아닌 요청도 재시도 가능)
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// 호스트별 다음 요청 가능 시각 (프로세스 안의 모든 클라이언트가 공유)
+const nextSlotByHost = new Map();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 호스트별 최소 간격 대기 (동시에 호출돼도 순서대로 슬롯을 예약)
+ */
+async function waitForRateLimit(host, minInterval) {
+    if (!minInterval) return;
+
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+    nextSlotByHost.set(host, slot + minInterval);
+
+    if (slot > now) {
+        await sleep(slot - now);
+    }
+}
+
+/**
+ * Retry-After 헤더(초 또는 HTTP 날짜)를 밀리초로 변환, 없으면 null
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 재시도 대기 시간: Retry-After가 있으면 그 값, 없으면 지수 백오프에 지터 적용
+ */
+function getRetryDelay(attempt, error, { retryDelay, maxRetryDelay }) {
+    const retryAfter = parseRetryAfter(error.response && error.response.headers && error.response.headers['retry-after']);
+    if (retryAfter !== null) return Math.min(retryAfter, maxRetryDelay);
+
+    const exponential = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * 재시도 가능한 오류인지 판단
+ */
+function isRetryable(error, method) {
+    const status = error.response && error.response.status;
+    const idempotent = IDEMPOTENT_METHODS.includes(method);
+
+    if (!status) {
+        return (idempotent ? RETRYABLE_ERROR_CODES : NOT_SENT_ERROR_CODES).includes(error.code);
+    }
+    if (idempotent) {
+        return RETRYABLE_STATUSES.includes(status);
+    }
+    return NON_IDEMPOTENT_RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * 캐시 파일 경로 (URL과 쿼리 파라미터 기준 해시, API 키가 파일명에 남지 않음)
+ */
+function getCachePath(cacheDir, url, params) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify([url, params || {}])).digest('hex');
+    return path.join(cacheDir, `${hash}.json`);
+}
+
+async function readCacheEntry(cachePath) {
+    try {
+        return JSON.parse(await fs.readFile(cachePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeCacheEntry(cachePath, entry) {
+    try {
+        await fs.mkdir(path.dirname(cachePath), { recursive: true });
+        await fs.writeFile(cachePath, JSON.stringify(entry));
+    } catch (error) {
+        console.warn('⚠️ Failed to write HTTP cache entry:', error.message);
+    }
+}
+
+/**
+ * HTTP 클라이언트 생성
+ *
+ * options: axios 설정(baseURL, headers, timeout 등)과 다음 옵션
+ *   retries        최대 재시도 횟수 (기본 HTTP_MAX_RETRIES 또는 3)
+ *   retryDelay     백오프 기본 대기 시간 ms (기본 HTTP_RETRY_DELAY_MS 또는 1000)
+ *   maxRetryDelay  최대 대기 시간 ms (기본 60000)
+ *   minInterval    같은 호스트 요청 사이 최소 간격 ms (기본 0)
+ *   cache          GET 응답 조건부 캐시 사용 여부 (기본 false)
+ *   cacheDir       캐시 디렉토리 (기본 HTTP_CACHE_DIR 또는 DATA_DIR/http-cache)
+ *   name           로그에 표시할 클라이언트 이름
+ */
+function createHttpClient(options = {}) {
+    const {
+        retries = parseInt(process.env.HTTP_MAX_RETRIES) || 3,
+        retryDelay = parseInt(process.env.HTTP_RETRY_DELAY_MS) || 1000,
+        maxRetryDelay = 60000,
+        minInterval = 0,
+        cache = false,
+        cacheDir = process.env.HTTP_CACHE_DIR || path.join(process.env.DATA_DIR || './data', 'http-cache'),
+        name = 'http',
+        ...axiosConfig
+    } = options;
+
+    const instance = axios.create(axiosConfig);
+    const retryOptions = { retryDelay, maxRetryDelay };
+
+    async function send(config) {
+        const method = (config.method || 'get').toLowerCase();
+        // 로그/호스트 판별용 URL (쿼리 파라미터의 API 키는 제외)
+        const url = instance.getUri({ url: config.url });
+        const host = new URL(url).host;
+
+        for (let attempt = 0; ; attempt++) {
+            await waitForRateLimit(host, config.minInterval !== undefined ? config.minInterval : minInterval);
+
+            try {
+                return await instance.request(config);
+            } catch (error) {
+                if (attempt >= retries || !isRetryable(error, method)) {
+                    throw error;
+                }
+
+                const delay = getRetryDelay(attempt, error, retryOptions);
+                const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+                console.warn(`🔁 [${name}] ${method.toUpperCase()} ${url} failed (${reason}), retrying in ${delay}ms (${attempt + 1}/${retries})`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    async function request(config) {
+        const method = (config.method || 'get').toLowerCase();
+        const useCache = config.cache !== undefined ? config.cache : cache;
+
+        if (!useCache || method !== 'get') {
+            return send(config);
+        }
+
+        const cachePath = getCachePath(cacheDir, instance.getUri({ ...config, params: undefined }), config.params);
+        const cached = await readCacheEntry(cachePath);
+        const headers = { ...(config.headers || {}) };
+
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        const response = await send({
+            ...config,
+            headers,
+            validateStatus: status => (status >= 200 && status < 300) || (status === 304 && cached !== null)
+        });
+
+        if (response.status === 304) {
+            console.log(`📦 [${name}] Not modified, using cached response: ${config.url}`);
+            return { ...response, status: 200, data: cached.data, fromCache: true };
+        }
+
+        const etag = response.headers.etag;
+        const lastModified = response.headers['last-modified'];
+        if (etag || lastModified) {
+            await writeCacheEntry(cachePath, {
+                url: config.url,
+                etag: etag || null,
+                lastModified: lastModified || null,
+                savedAt: new Date().toISOString(),
+                data: response.data
+            });
+        }
+
+        return response;
+    }
+
+    return {
+        request,
+        get: (url, config = {}) => request({ ...config, method: 'get', url }),
+        post: (url, data, config = {}) => request({ ...config, method: 'post', url, data })
+    };
+}
+
+module.exports = {
+    createHttpClient,
+    parseRetryAfter,
+    isRetryable
+};
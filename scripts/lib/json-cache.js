@@ -0,0 +1,74 @@
+/**
+ * 만료 시각(expiresAt)이 있는 항목을 저장하는 JSON 캐시 파일 (크레딧/YouTube 캐시 공용)
+ *
+ * 파일 형식: { version, updatedAt, entries: { 키: { ..., cachedAt, expiresAt } } }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DAY_MS = 86400000;
+const CACHE_VERSION = 1;
+
+/**
+ * 환경변수 값의 TTL(일), 숫자가 아니면 기본값
+ */
+function parseTTLDays(value, defaultDays) {
+    const days = parseFloat(value);
+    return Number.isFinite(days) ? days : defaultDays;
+}
+
+/**
+ * 캐시 로드 (파일이 없거나 읽을 수 없으면 빈 캐시, label은 경고 메시지에 쓰는 캐시 이름)
+ */
+async function loadJsonCache(cachePath, label) {
+    try {
+        const cache = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+        if (cache.version === CACHE_VERSION && cache.entries) return cache;
+        console.warn(`⚠️ Ignoring ${label} cache with unknown format: ${cachePath}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Ignoring unreadable ${label} cache ${cachePath}:`, error.message);
+        }
+    }
+    return { version: CACHE_VERSION, entries: {} };
+}
+
+/**
+ * 캐시 저장 (만료된 항목은 저장하지 않음)
+ */
+async function saveJsonCache(cache, cachePath, now = new Date()) {
+    const entries = Object.fromEntries(
+        Object.entries(cache.entries).filter(([, entry]) => isFresh(entry, now))
+    );
+
+    await fs.mkdir(path.dirname(cachePath), { recursive: true });
+    await fs.writeFile(cachePath, JSON.stringify({ version: CACHE_VERSION, updatedAt: now.toISOString(), entries }, null, 2));
+    return cachePath;
+}
+
+/**
+ * 항목이 있고 아직 만료되지 않았는지
+ */
+function isFresh(entry, now = new Date()) {
+    return Boolean(entry) && new Date(entry.expiresAt) > now;
+}
+
+/**
+ * 저장 시각과 만료 시각(now + ttlDays)을 붙인 캐시 항목
+ */
+function createCacheEntry(fields, ttlDays, now = new Date()) {
+    return {
+        ...fields,
+        cachedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlDays * DAY_MS).toISOString()
+    };
+}
+
+module.exports = {
+    parseTTLDays,
+    loadJsonCache,
+    saveJsonCache,
+    isFresh,
+    createCacheEntry
+};
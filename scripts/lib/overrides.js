@@ -0,0 +1,187 @@
+/**
+ * 수동 보정 파일 (data/overrides.json, 저장소에 커밋해서 관리)
+ *
+ * 에이전트가 잘못 수집한 크레딧이나 YouTube가 고른 팬 업로드 영상을 매주 생성되는 JSON을 고치지 않고 바로잡는다.
+ * 항목 키는 트랙 식별 키("sabrina carpenter::espresso") 또는 "Artist - Title" 형식이다.
+ * "Artist - Title"의 아티스트 쪽은 나누지 않고 차트 항목의 아티스트 표기 전체와 비교하므로
+ * "Tyler, The Creator - See You Again", "Lady Gaga, Bruno Mars - Die With A Smile"처럼 차트에 표시된 그대로 쓴다.
+ *
+ * {
+ *   "tracks": {
+ *     "Sabrina Carpenter - Espresso": {
+ *       "album": "Short n' Sweet",               // 앨범명 지정
+ *       "credits": [{ "role": "Producer", "people": ["Julian Bunetta"] }],   // 크레딧 전체 교체
+ *       "addCredits": [{ "role": "Mixing Engineer", "people": "Serban Ghenea" }], // 크레딧 추가
+ *       "youtube": { "videoId": "eVli-tstM5E" },  // 영상 고정 (종류 지정은 "type": "lyric" 등, 기본 mv)
+ *       "hidden": true,                           // 페이지에서 숨김
+ *       "note": "보정 사유"
+ *     }
+ *   }
+ * }
+ *
+ * 보정이 적용된 항목에는 적용된 필드 목록이 overrides 배열로 남는다.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getTextTrackKey, getTrackKeys } = require('./track-identity');
+const { normalizeCredits } = require('./credit-roles');
+
+/**
+ * 보정 파일 경로 (기본 DATA_DIR/overrides.json)
+ */
+function getOverridesPath() {
+    return process.env.OVERRIDES_FILE || path.join(process.env.DATA_DIR || './data', 'overrides.json');
+}
+
+/**
+ * 보정 파일의 키 → 비교용 트랙 키
+ */
+function toTrackKey(key) {
+    if (key.includes('::')) return key;
+    return getTextTrackKey(key);
+}
+
+/**
+ * 보정 파일 로드 (트랙 키 → 보정 항목과 파일의 원래 키(key), 파일이 없으면 빈 Map)
+ */
+async function loadOverrides(overridesPath = getOverridesPath()) {
+    let content;
+    try {
+        content = await fs.readFile(overridesPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return new Map();
+        throw error;
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid overrides file ${overridesPath}: ${error.message}`);
+    }
+
+    const overrides = new Map(Object.entries(parsed.tracks || {}).map(([key, override]) => [toTrackKey(key), { ...override, key }]));
+    console.log(`🛠️  Loaded ${overrides.size} track overrides from ${overridesPath}`);
+    return overrides;
+}
+
+/**
+ * 항목에 해당하는 보정 항목, 없으면 null
+ */
+function findOverride(overrides, item) {
+    const key = getTrackKeys(item).find(trackKey => overrides.has(trackKey));
+    return key ? overrides.get(key) : null;
+}
+
+/**
+ * 차트의 어떤 곡과도 연결되지 않은 보정 항목 경고 (연결되지 않은 원래 키 목록 반환)
+ */
+function warnUnmatchedOverrides(overrides, tracks, label = 'chart') {
+    const trackKeys = new Set(tracks.flatMap(getTrackKeys));
+    const unmatched = [...overrides]
+        .filter(([trackKey]) => !trackKeys.has(trackKey))
+        .map(([, override]) => override.key);
+
+    unmatched.forEach(key => console.warn(`⚠️ Override "${key}" matched no track in the ${label}`));
+    return unmatched;
+}
+
+/**
+ * 항목에 적용된 보정 필드 기록
+ */
+function markOverridden(item, fields) {
+    return { ...item, overrides: [...new Set([...(item.overrides || []), ...fields])] };
+}
+
+/**
+ * 보정 파일의 크레딧 정규화 (출처를 따로 적지 않았으면 source: override, confidence: 1)
+ */
+function normalizeOverrideCredits(credits) {
+    return normalizeCredits(credits).map(credit => ({ source: 'override', confidence: 1, ...credit }));
+}
+
+/**
+ * 크레딧 단계 보정 적용 (앨범명, 크레딧 교체/추가, 숨김)
+ */
+function applyCreditsOverride(item, overrides) {
+    const override = findOverride(overrides, item);
+    if (!override) return item;
+
+    const result = { ...item };
+    const fields = [];
+
+    if (typeof override.album === 'string') {
+        result.album = override.album;
+        fields.push('album');
+    }
+    if (Array.isArray(override.credits)) {
+        result.credits = normalizeOverrideCredits(override.credits);
+        result.creditsStatus = 'override';
+        fields.push('credits');
+    }
+    if (Array.isArray(override.addCredits)) {
+        result.credits = [...normalizeCredits(result.credits), ...normalizeOverrideCredits(override.addCredits)];
+        fields.push('addCredits');
+    }
+    if (override.hidden === true) {
+        result.hidden = true;
+        fields.push('hidden');
+    }
+
+    return fields.length > 0 ? markOverridden(result, fields) : item;
+}
+
+/**
+ * YouTube 단계 보정 적용 (고정 영상)
+ *
+ * 고정 영상이 대표 영상이 되고, 검색으로 찾은 다른 종류의 영상은 videos에 그대로 남는다.
+ */
+function applyYouTubeOverride(item, overrides) {
+    const override = findOverride(overrides, item);
+    if (!override || !override.youtube || !override.youtube.videoId) return item;
+
+    const { videoId } = override.youtube;
+    const searchedVideos = !item.youtube ? [] : (Array.isArray(item.youtube.videos) ? item.youtube.videos : [item.youtube]);
+    const searched = searchedVideos.find(video => video.videoId === videoId) || {};
+    const pinned = {
+        type: 'mv',
+        ...searched,
+        ...override.youtube,
+        videoId,
+        url: `https://www.youtube.com/watch?v=${videoId}`,
+        pinned: true
+    };
+    const videos = [pinned, ...searchedVideos.filter(video => video.videoId !== videoId && video.type !== pinned.type)];
+
+    return markOverridden({
+        ...item,
+        youtube: { ...pinned, videos }
+    }, ['youtube']);
+}
+
+/**
+ * 항목 배열에 보정 적용 (kind: 'credits' | 'youtube')
+ */
+function applyOverrides(items, overrides, kind) {
+    if (overrides.size === 0) return items;
+
+    const apply = kind === 'youtube' ? applyYouTubeOverride : applyCreditsOverride;
+    const results = items.map(item => apply(item, overrides));
+    const changed = results.filter((item, index) => item !== items[index]).length;
+
+    if (changed > 0) {
+        console.log(`🛠️  Applied ${kind} overrides to ${changed} tracks`);
+    }
+    return results;
+}
+
+module.exports = {
+    getOverridesPath,
+    loadOverrides,
+    findOverride,
+    warnUnmatchedOverrides,
+    applyCreditsOverride,
+    applyYouTubeOverride,
+    applyOverrides
+};
@@ -0,0 +1,294 @@
+/**
+ * HTML 템플릿 엔진 (반복/조건/부분 템플릿, 기본 HTML 이스케이프, JSON 데이터 블록)
+ *
+ * 문법:
+ *   {{path}}                     값 (HTML 이스케이프), path는 name, a.b.c, this, @index, @number, @first, @last
+ *   {{{path}}}                   이스케이프하지 않은 값
+ *   {{json path}}                <script type="application/json">에 넣을 수 있는 JSON
+ *   {{#each path}}...{{else}}...{{/each}}   배열 반복 (항목 필드를 바로 참조), 빈 배열이면 else
+ *   {{#if path}}...{{else}}...{{/if}}       조건 (빈 배열은 거짓), {{#unless path}}는 반대
+ *   {{> name}}                   부분 템플릿 (templates/partials/<name>.html)
+ *   {{! comment}}                주석
+ *
+ * 알 수 없는 태그, 짝이 맞지 않는 블록, 데이터에 없는 값(undefined), 없는 부분 템플릿은 오류를 던지므로
+ * 자리표시가 빠진 페이지는 만들어지지 않는다. null 값은 빈 문자열로 출력하고, 선택 필드는 {{#if}}로 감싼다
+ * (조건 블록에서만 없는 값을 거짓으로 본다).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const TAG_PATTERN = /\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+const PATH_PATTERN = /^(?:this|@index|@number|@first|@last|[A-Za-z_$][\w$]*)(?:\.[A-Za-z_$][\w$]*)*$/;
+const STANDALONE_TAG_PATTERN = /^(?:[#/>!]|else$)/;
+const BLOCKS = ['each', 'if', 'unless'];
+const MAX_PARTIAL_DEPTH = 10;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * HTML 특수 문자 이스케이프
+ */
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * <script> 블록 안에서 안전한 JSON (</script>, <!--, 줄 구분 문자 이스케이프)
+ */
+function serializeJSON(value) {
+    return JSON.stringify(value, null, 4)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * 오류 메시지용 위치 (템플릿 이름:줄)
+ */
+function describeLocation(name, source, index) {
+    return `${name}:${source.slice(0, index).split('\n').length}`;
+}
+
+/**
+ * 값 경로 검증
+ */
+function parsePath(expression, location) {
+    if (!PATH_PATTERN.test(expression)) {
+        throw new Error(`Unknown template tag {{${expression}}} (${location})`);
+    }
+    return expression.split('.');
+}
+
+/**
+ * 블록/부분 템플릿/주석 태그만 있는 줄은 줄 전체를 태그로 취급 (출력에 빈 줄이 남지 않도록)
+ *
+ * [태그 앞 텍스트 끝, 태그 끝] 위치를 반환한다.
+ */
+function getStandaloneRange(source, match, lastIndex, standalone) {
+    const tagEnd = match.index + match[0].length;
+    if (!standalone) return [match.index, tagEnd];
+
+    const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+    const newline = source.indexOf('\n', tagEnd);
+    const lineEnd = newline === -1 ? source.length : newline + 1;
+
+    const isStandalone = lineStart >= lastIndex
+        && source.slice(lineStart, match.index).trim() === ''
+        && source.slice(tagEnd, lineEnd).trim() === '';
+
+    return isStandalone ? [lineStart, lineEnd] : [match.index, tagEnd];
+}
+
+/**
+ * 템플릿 문자열 → 노드 트리
+ */
+function parseTemplate(source, name = 'template') {
+    const root = { children: [] };
+    const stack = [{ node: root, target: root.children, location: null }];
+    let lastIndex = 0;
+    let match;
+
+    const pushText = text => {
+        if (text.includes('{{')) {
+            throw new Error(`Unclosed template tag (${describeLocation(name, source, lastIndex + text.indexOf('{{'))})`);
+        }
+        if (text) stack[stack.length - 1].target.push({ type: 'text', text });
+    };
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        const location = describeLocation(name, source, match.index);
+        const raw = match[1] !== undefined;
+        const expression = raw ? match[1] : match[2];
+        const [textEnd, tagEnd] = getStandaloneRange(source, match, lastIndex, !raw && STANDALONE_TAG_PATTERN.test(expression));
+
+        pushText(source.slice(lastIndex, textEnd));
+        lastIndex = tagEnd;
+        TAG_PATTERN.lastIndex = tagEnd;
+
+        const current = stack[stack.length - 1];
+
+        if (raw) {
+            current.target.push({ type: 'value', path: parsePath(expression, location), expression, escape: false, location });
+            continue;
+        }
+
+        if (expression.startsWith('!')) continue;
+
+        if (expression.startsWith('#')) {
+            const [block, argument = ''] = expression.slice(1).split(/\s+/, 2);
+            if (!BLOCKS.includes(block)) {
+                throw new Error(`Unknown template block {{#${block}}} (${location})`);
+            }
+            const node = { type: block, path: parsePath(argument, location), expression: argument, children: [], inverse: [], location };
+            current.target.push(node);
+            stack.push({ node, target: node.children, location });
+        } else if (expression.startsWith('/')) {
+            const block = expression.slice(1).trim();
+            if (stack.length === 1 || current.node.type !== block) {
+                throw new Error(`Unexpected {{/${block}}} (${location})`);
+            }
+            stack.pop();
+        } else if (expression === 'else') {
+            if (stack.length === 1 || current.target === current.node.inverse) {
+                throw new Error(`Unexpected {{else}} (${location})`);
+            }
+            current.target = current.node.inverse;
+        } else if (expression.startsWith('>')) {
+            current.target.push({ type: 'partial', name: expression.slice(1).trim(), location });
+        } else if (expression.startsWith('json ')) {
+            const argument = expression.slice(5).trim();
+            current.target.push({ type: 'json', path: parsePath(argument, location), expression: argument, location });
+        } else {
+            current.target.push({ type: 'value', path: parsePath(expression, location), expression, escape: true, location });
+        }
+    }
+
+    pushText(source.slice(lastIndex));
+
+    if (stack.length > 1) {
+        const { node, location } = stack[stack.length - 1];
+        throw new Error(`Unclosed {{#${node.type}}} block (${location})`);
+    }
+
+    return root.children;
+}
+
+/**
+ * 스코프 스택에서 값 찾기 (안쪽 반복 항목부터 바깥 데이터 순서), 없으면 오류 (optional이면 undefined)
+ */
+function resolvePath(scopes, node, { optional = false } = {}) {
+    const [first, ...rest] = node.path;
+    let value;
+
+    if (first === 'this' || first.startsWith('@')) {
+        const scope = scopes[scopes.length - 1];
+        value = first === 'this' ? scope.value : scope.meta[first.slice(1)];
+    } else {
+        const scope = [...scopes].reverse().find(({ value }) => value !== null && typeof value === 'object' && first in value);
+        value = scope ? scope.value[first] : undefined;
+    }
+
+    for (const key of rest) {
+        if (value === null || value === undefined) break;
+        value = value[key];
+    }
+
+    if (value === undefined && !optional) {
+        throw new Error(`Unresolved placeholder {{${node.expression}}} (${node.location})`);
+    }
+
+    return value;
+}
+
+/**
+ * 조건 블록 참/거짓 (빈 배열은 거짓)
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * 노드 트리 → 문자열
+ */
+function renderNodes(nodes, scopes, options, depth) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.text;
+            case 'value': {
+                const value = resolvePath(scopes, node);
+                if (value === null) return '';
+                if (typeof value === 'object') {
+                    throw new Error(`Placeholder {{${node.expression}}} is an object, use {{json ${node.expression}}} or {{#each}} (${node.location})`);
+                }
+                return node.escape ? escapeHTML(value) : String(value);
+            }
+            case 'json':
+                return serializeJSON(resolvePath(scopes, node));
+            case 'if':
+            case 'unless': {
+                const condition = isTruthy(resolvePath(scopes, node, { optional: true })) === (node.type === 'if');
+                return renderNodes(condition ? node.children : node.inverse, scopes, options, depth);
+            }
+            case 'each': {
+                const items = resolvePath(scopes, node);
+                if (items !== null && !Array.isArray(items)) {
+                    throw new Error(`{{#each ${node.expression}}} expects an array (${node.location})`);
+                }
+                if (!items || items.length === 0) {
+                    return renderNodes(node.inverse, scopes, options, depth);
+                }
+                return items.map((item, index) => renderNodes(node.children, [...scopes, {
+                    value: item,
+                    meta: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+                }], options, depth)).join('');
+            }
+            case 'partial':
+                return renderPartial(node, scopes, options, depth);
+            default:
+                throw new Error(`Unknown template node: ${node.type}`);
+        }
+    }).join('');
+}
+
+/**
+ * 부분 템플릿 렌더링 (현재 스코프 그대로 사용)
+ */
+function renderPartial(node, scopes, options, depth) {
+    const source = options.partials[node.name];
+
+    if (source === undefined) {
+        throw new Error(`Unknown partial {{> ${node.name}}} (${node.location})`);
+    }
+    if (depth >= MAX_PARTIAL_DEPTH) {
+        throw new Error(`Partial {{> ${node.name}}} nested too deeply (${node.location})`);
+    }
+
+    return renderNodes(parseTemplate(source, `partials/${node.name}`), scopes, options, depth + 1);
+}
+
+/**
+ * 템플릿 렌더링
+ */
+function renderTemplate(source, data, { name = 'template', partials = {} } = {}) {
+    const nodes = parseTemplate(source, name);
+    return renderNodes(nodes, [{ value: data, meta: {} }], { partials }, 0);
+}
+
+/**
+ * 부분 템플릿 디렉토리 로드 (<name>.html → name), 디렉토리가 없으면 빈 객체
+ */
+async function loadPartials(dir) {
+    let files;
+
+    try {
+        files = await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+
+    const partials = {};
+    for (const file of files.filter(file => file.endsWith('.html'))) {
+        partials[path.basename(file, '.html')] = await fs.readFile(path.join(dir, file), 'utf8');
+    }
+    return partials;
+}
+
+module.exports = {
+    escapeHTML,
+    serializeJSON,
+    parseTemplate,
+    renderTemplate,
+    loadPartials
+};
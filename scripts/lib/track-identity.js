@@ -0,0 +1,76 @@
+/**
+ * 트랙 식별 키 (주차/단계가 달라도 같은 곡을 같은 키로 묶기 위한 정규화)
+ */
+
+const { ARTIST_FEATURE_PATTERN, getTrackArtists, extractFeaturedArtists } = require('./artist-parser');
+
+/**
+ * 비교용 문자열 정규화 (대소문자, 악센트, 문장부호, 공백 차이 제거)
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * 곡명 정규화 (피처링 표기 제거 후 정규화)
+ */
+function normalizeTitle(title) {
+    return normalizeText(extractFeaturedArtists(title).title);
+}
+
+/**
+ * 트랙 식별 키: "정규화된 주 아티스트(정렬)::정규화된 곡명"
+ *
+ * primaryArtists가 있으면 주 아티스트만 사용하므로 피처링 표기 차이에 영향받지 않는다.
+ */
+function getTrackKey(item) {
+    const artists = Array.isArray(item.primaryArtists) && item.primaryArtists.length > 0
+        ? item.primaryArtists
+        : getTrackArtists(item);
+
+    const artistKey = artists
+        .map(normalizeText)
+        .filter(name => name !== '')
+        .sort()
+        .join(', ');
+
+    return `${artistKey}::${normalizeTitle(item.title)}`;
+}
+
+/**
+ * 아티스트 문자열 전체를 한 이름으로 본 트랙 키 ("Tyler, The Creator", "Mumford & Sons"를 나누지 않음)
+ */
+function getLiteralTrackKey(artist, title) {
+    const [primary] = String(artist || '').split(ARTIST_FEATURE_PATTERN);
+    return `${normalizeText(primary)}::${normalizeTitle(title)}`;
+}
+
+/**
+ * "Artist - Title" 텍스트의 트랙 키 (보정 파일 키 등, 아티스트 쪽은 getLiteralTrackKey처럼 나누지 않음)
+ */
+function getTextTrackKey(text) {
+    const [artist, ...titleParts] = String(text || '').split(' - ');
+    return getLiteralTrackKey(artist, titleParts.join(' - '));
+}
+
+/**
+ * 항목을 찾을 때 비교할 키 목록 (트랙 식별 키, 아티스트 문자열 전체를 한 이름으로 본 키)
+ */
+function getTrackKeys(item) {
+    return [...new Set([getTrackKey(item), getLiteralTrackKey(item.artist, item.title)])];
+}
+
+module.exports = {
+    normalizeText,
+    normalizeTitle,
+    getTrackKey,
+    getLiteralTrackKey,
+    getTextTrackKey,
+    getTrackKeys
+};
@@ -0,0 +1,135 @@
+/**
+ * 외부 결과(Manus 크레딧 등)를 차트 항목과 아티스트/곡명 유사도로 연결
+ *
+ * 에이전트가 돌려준 순위는 믿지 않고, 정규화한 곡명/아티스트의 바이그램 유사도로 점수를 매겨
+ * 점수가 높은 쌍부터 일대일로 연결한다. 비슷한 점수의 후보가 여럿이면 모호한 매칭으로 보고한다.
+ */
+
+const { splitArtistNames } = require('./artist-parser');
+const { normalizeText, normalizeTitle } = require('./track-identity');
+
+const DEFAULT_MATCH_OPTIONS = {
+    threshold: 0.7,         // 연결에 필요한 최소 점수
+    minTitleScore: 0.5,     // 곡명 유사도 최소값 (같은 아티스트의 다른 곡 방지)
+    ambiguityMargin: 0.1    // 최고 점수와 이 차이 안에 있는 다른 후보가 있으면 모호한 매칭
+};
+
+/**
+ * 바이그램 Dice 계수 (0~1)
+ */
+function diceCoefficient(a, b) {
+    if (a === b) return a ? 1 : 0;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * 항목의 아티스트 이름 목록 (정규화)
+ */
+function getNormalizedArtists(item) {
+    const artists = Array.isArray(item.primaryArtists) && item.primaryArtists.length > 0
+        ? item.primaryArtists
+        : splitArtistNames(item.artist || '');
+    return artists.map(normalizeText).filter(name => name !== '');
+}
+
+/**
+ * 결과 항목과 차트 항목의 유사도 점수 (곡명 65%, 아티스트 35%)
+ */
+function scoreTrackMatch(item, track) {
+    const titleScore = diceCoefficient(normalizeTitle(item.title), normalizeTitle(track.title));
+
+    const itemArtists = getNormalizedArtists(item);
+    const trackArtists = getNormalizedArtists(track);
+    let artistScore = 0;
+    for (const a of itemArtists) {
+        for (const b of trackArtists) {
+            artistScore = Math.max(artistScore, diceCoefficient(a, b));
+        }
+    }
+
+    return {
+        score: Math.round((titleScore * 0.65 + artistScore * 0.35) * 1000) / 1000,
+        titleScore
+    };
+}
+
+/**
+ * 결과 항목들을 차트 항목들과 일대일로 연결
+ *
+ * 반환값:
+ *   matches    차트 순위 → { item, score }
+ *   unmatched  어떤 차트 항목과도 연결되지 않은 결과 항목
+ *   ambiguous  후보가 여럿인 매칭 [{ item, rank, candidates: [{ rank, score }] }]
+ */
+function matchTracks(items, tracks, options = {}) {
+    const { threshold, minTitleScore, ambiguityMargin } = { ...DEFAULT_MATCH_OPTIONS, ...options };
+    const candidatesByItem = items.map(() => []);
+    const pairs = [];
+
+    items.forEach((item, itemIndex) => {
+        tracks.forEach(track => {
+            const { score, titleScore } = scoreTrackMatch(item, track);
+            if (score < threshold || titleScore < minTitleScore) return;
+
+            // 점수가 같으면 결과 항목이 알려준 순위와 같은 차트 항목 우선
+            const pair = { itemIndex, rank: track.rank, score, rankAgrees: Number(item.rank) === track.rank };
+            pairs.push(pair);
+            candidatesByItem[itemIndex].push(pair);
+        });
+    });
+
+    pairs.sort((a, b) => b.score - a.score || Number(b.rankAgrees) - Number(a.rankAgrees));
+
+    const matches = new Map();
+    const matchedItems = new Set();
+    for (const pair of pairs) {
+        if (matches.has(pair.rank) || matchedItems.has(pair.itemIndex)) continue;
+        matches.set(pair.rank, { item: items[pair.itemIndex], score: pair.score });
+        matchedItems.add(pair.itemIndex);
+    }
+
+    const ambiguous = [];
+    candidatesByItem.forEach((candidates, itemIndex) => {
+        if (candidates.length < 2) return;
+
+        const sorted = [...candidates].sort((a, b) => b.score - a.score);
+        if (sorted[1].score < sorted[0].score - ambiguityMargin) return;
+
+        const matched = [...matches.entries()].find(([, match]) => match.item === items[itemIndex]);
+        ambiguous.push({
+            item: items[itemIndex],
+            rank: matched ? matched[0] : null,
+            candidates: sorted.map(({ rank, score }) => ({ rank, score }))
+        });
+    });
+
+    return {
+        matches,
+        unmatched: items.filter((item, index) => !matchedItems.has(index)),
+        ambiguous
+    };
+}
+
+module.exports = {
+    diceCoefficient,
+    scoreTrackMatch,
+    matchTracks
+};
@@ -0,0 +1,72 @@
+/**
+ * 트랙별 YouTube 영상 캐시 (data/youtube-cache.json)
+ *
+ * 지난주에 찾은 영상을 트랙 식별 키로 저장해 두고 다시 검색(search.list, 100 단위)하지 않는다.
+ * 재사용하기 전에 videos.list(1 단위)로 영상이 아직 있는지만 확인하며, 항목은 만료 시각(expiresAt)이 지나면 다시 검색된다.
+ */
+
+const path = require('path');
+const { getTrackKey } = require('./track-identity');
+const { parseTTLDays, loadJsonCache, saveJsonCache, isFresh, createCacheEntry } = require('./json-cache');
+
+/**
+ * 캐시 파일 경로 (기본 DATA_DIR/youtube-cache.json)
+ */
+function getYouTubeCachePath() {
+    return process.env.YOUTUBE_CACHE_FILE || path.join(process.env.DATA_DIR || './data', 'youtube-cache.json');
+}
+
+/**
+ * 기본 TTL(일): YOUTUBE_CACHE_TTL_DAYS, 기본 180일
+ */
+function getDefaultTTLDays() {
+    return parseTTLDays(process.env.YOUTUBE_CACHE_TTL_DAYS, 180);
+}
+
+/**
+ * 캐시 로드 (파일이 없으면 빈 캐시)
+ */
+function loadYouTubeCache(cachePath = getYouTubeCachePath()) {
+    return loadJsonCache(cachePath, 'YouTube');
+}
+
+/**
+ * 캐시 저장 (만료된 항목은 저장하지 않음)
+ */
+function saveYouTubeCache(cache, cachePath = getYouTubeCachePath(), now = new Date()) {
+    return saveJsonCache(cache, cachePath, now);
+}
+
+/**
+ * 만료되지 않은 캐시 항목 조회, 없으면 null
+ */
+function lookupVideo(cache, track, now = new Date()) {
+    const entry = cache.entries[getTrackKey(track)];
+    return isFresh(entry, now) ? entry : null;
+}
+
+/**
+ * 찾은 영상을 캐시에 저장
+ */
+function storeVideo(cache, track, youtube, { ttlDays = getDefaultTTLDays(), now = new Date() } = {}) {
+    const entry = createCacheEntry({ artist: track.artist, title: track.title, youtube }, ttlDays, now);
+
+    cache.entries[getTrackKey(track)] = entry;
+    return entry;
+}
+
+/**
+ * 삭제되었거나 비공개로 바뀐 영상의 캐시 항목 제거
+ */
+function forgetVideo(cache, track) {
+    delete cache.entries[getTrackKey(track)];
+}
+
+module.exports = {
+    getYouTubeCachePath,
+    loadYouTubeCache,
+    saveYouTubeCache,
+    lookupVideo,
+    storeVideo,
+    forgetVideo
+};
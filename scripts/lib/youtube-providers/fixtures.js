@@ -0,0 +1,98 @@
+/**
+ * 녹화한 응답을 재생하는 YouTube 검색 제공자 (API 키/네트워크 없이 실행)
+ *
+ * 요청 하나가 fixtures 디렉토리의 파일 하나에 대응한다: <method>-<요청 매개변수 해시>.json
+ *   { method, params, recordedAt, response } (테스트용으로 직접 만든 파일은 recordedAt 대신 synthetic: true)
+ * 녹화 모드(createRecordingProvider)는 실제 제공자의 응답을 같은 형식으로 저장한다.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 기본 fixtures 디렉토리 (YOUTUBE_FIXTURES_DIR, 기본 fixtures/youtube)
+ */
+function getFixturesDir() {
+    return process.env.YOUTUBE_FIXTURES_DIR || path.join('fixtures', 'youtube');
+}
+
+/**
+ * 요청 매개변수 정리 (API 키 제외, 키 이름 순서 고정)
+ */
+function normalizeParams(params = {}) {
+    return Object.fromEntries(Object.keys(params)
+        .filter(key => key !== 'key' && params[key] !== undefined)
+        .sort()
+        .map(key => [key, String(params[key])]));
+}
+
+/**
+ * 요청 → fixtures 파일 경로
+ */
+function getFixturePath(dir, method, params) {
+    const hash = crypto.createHash('sha1')
+        .update(JSON.stringify([method, normalizeParams(params)]))
+        .digest('hex')
+        .slice(0, 16);
+    return path.join(dir, `${method}-${hash}.json`);
+}
+
+/**
+ * 녹화한 응답 재생 제공자 (녹화되지 않은 요청은 오류)
+ */
+function createFixtureProvider({ dir = getFixturesDir() } = {}) {
+    return {
+        name: 'fixtures',
+        description: `Recorded YouTube fixtures (${dir})`,
+        async request(method, params) {
+            const fixturePath = getFixturePath(dir, method, params);
+            try {
+                const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+                return fixture.response;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(`No recorded fixture for ${method} ${JSON.stringify(normalizeParams(params))} (${fixturePath})`);
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * 실제 제공자의 응답을 fixtures 디렉토리에 저장하는 녹화 제공자
+ */
+function createRecordingProvider(provider, { dir = getFixturesDir() } = {}) {
+    let recorded = 0;
+
+    return {
+        name: `${provider.name}+record`,
+        description: `${provider.description}, recording to ${dir}`,
+        async request(method, params) {
+            const response = await provider.request(method, params);
+            const fixturePath = getFixturePath(dir, method, params);
+
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(fixturePath, JSON.stringify({
+                method,
+                params: normalizeParams(params),
+                recordedAt: new Date().toISOString(),
+                response
+            }, null, 2));
+            recorded++;
+
+            return response;
+        },
+        get recorded() {
+            return recorded;
+        }
+    };
+}
+
+module.exports = {
+    getFixturesDir,
+    getFixturePath,
+    createFixtureProvider,
+    createRecordingProvider
+};
@@ -0,0 +1,61 @@
+/**
+ * YouTube 검색 제공자 레지스트리
+ *
+ * 검색 제공자는 다음 형태의 객체를 구현한다:
+ *   name         제공자 이름 (--provider 옵션 값)
+ *   description  로그에 표시할 설명
+ *   request(method, params) → Promise<응답 본문>
+ *     method는 YouTube Data API 메서드 (search | videos), params는 API 키를 제외한 요청 매개변수,
+ *     응답 본문은 search.list/videos.list 응답과 같은 형태 ({ items: [...] })
+ *
+ * 할당량 기록, 후보 순위, 재생 가능 여부 확인은 get-youtube-links.js가 제공자와 관계없이 처리한다.
+ */
+
+const { getArgValue } = require('../chart-config');
+const { createYouTubeApiProvider } = require('./youtube-api');
+const { createFixtureProvider, createRecordingProvider } = require('./fixtures');
+
+const YOUTUBE_PROVIDERS = {
+    youtube: createYouTubeApiProvider,
+    fixtures: createFixtureProvider
+};
+
+const DEFAULT_PROVIDER = 'youtube';
+
+/**
+ * 이름으로 검색 제공자 생성
+ */
+function createYouTubeProvider(name = DEFAULT_PROVIDER, options = {}) {
+    const factory = YOUTUBE_PROVIDERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown YouTube provider: ${name} (expected ${Object.keys(YOUTUBE_PROVIDERS).join('|')})`);
+    }
+
+    return factory(options);
+}
+
+/**
+ * 명령행 인자(--provider, --record) 또는 환경변수(YOUTUBE_PROVIDER, YOUTUBE_RECORD_FIXTURES)로 검색 제공자 결정
+ *
+ * 녹화 모드는 실제 API 응답을 fixtures 디렉토리(--fixtures, YOUTUBE_FIXTURES_DIR)에 저장한다.
+ */
+function resolveYouTubeProvider(argv = process.argv.slice(2)) {
+    const name = (getArgValue(argv, '--provider') || process.env.YOUTUBE_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+    const dir = getArgValue(argv, '--fixtures') || undefined;
+    const record = argv.includes('--record') || process.env.YOUTUBE_RECORD_FIXTURES === 'true';
+
+    if (record && name === 'fixtures') {
+        throw new Error('Cannot record fixtures while replaying them (use the youtube provider with --record)');
+    }
+
+    const provider = createYouTubeProvider(name, { dir });
+    return record ? createRecordingProvider(provider, { dir }) : provider;
+}
+
+module.exports = {
+    YOUTUBE_PROVIDERS,
+    DEFAULT_PROVIDER,
+    createYouTubeProvider,
+    resolveYouTubeProvider
+};
@@ -0,0 +1,40 @@
+/**
+ * YouTube Data API v3 검색 제공자 (REST 호출, 재시도/호출 간격은 공용 HTTP 모듈에서 처리)
+ */
+
+const { createHttpClient } = require('../http-client');
+
+/**
+ * 검색 제공자 인터페이스 구현
+ */
+function createYouTubeApiProvider({
+    apiKey = process.env.YOUTUBE_API_KEY,
+    baseURL = process.env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com/youtube/v3',
+    minInterval = parseInt(process.env.YOUTUBE_MIN_INTERVAL_MS) || 200
+} = {}) {
+    if (!apiKey) {
+        throw new Error('YOUTUBE_API_KEY environment variable is required');
+    }
+
+    const youtubeClient = createHttpClient({
+        name: 'youtube',
+        baseURL,
+        timeout: 30000,
+        minInterval
+    });
+
+    return {
+        name: 'youtube',
+        description: `YouTube Data API v3 (${baseURL})`,
+        async request(method, params) {
+            const response = await youtubeClient.get(`/${method}`, {
+                params: { key: apiKey, ...params }
+            });
+            return response.data;
+        }
+    };
+}
+
+module.exports = {
+    createYouTubeApiProvider
+};
@@ -0,0 +1,81 @@
+/**
+ * YouTube Data API 할당량 장부
+ *
+ * API 메서드별 할당량 비용으로 한 번 실행에서 사용한 단위를 추정하고, 설정한 예산(YOUTUBE_QUOTA_BUDGET)을
+ * 넘기 전에 요청을 멈출 수 있게 한다. 기본 예산은 일일 기본 할당량 10,000 단위에서 여유를 둔 9,000 단위.
+ */
+
+// 메서드별 할당량 비용 (https://developers.google.com/youtube/v3/determine_quota_cost)
+const QUOTA_COSTS = {
+    search: 100,
+    videos: 1
+};
+
+const DEFAULT_QUOTA_BUDGET = 9000;
+
+/**
+ * 실행 예산 (YOUTUBE_QUOTA_BUDGET, 기본 9000)
+ */
+function getQuotaBudget() {
+    const budget = parseInt(process.env.YOUTUBE_QUOTA_BUDGET, 10);
+    return Number.isFinite(budget) && budget >= 0 ? budget : DEFAULT_QUOTA_BUDGET;
+}
+
+/**
+ * 할당량 장부 생성
+ */
+function createQuotaLedger(budget = getQuotaBudget()) {
+    const calls = Object.fromEntries(Object.keys(QUOTA_COSTS).map(method => [method, 0]));
+    let used = 0;
+    let exhausted = false;
+
+    const getCost = method => {
+        if (!(method in QUOTA_COSTS)) {
+            throw new Error(`Unknown YouTube API method: ${method}`);
+        }
+        return QUOTA_COSTS[method];
+    };
+
+    return {
+        budget,
+
+        /**
+         * 예산 안에서 요청할 수 있는지 (API가 quotaExceeded를 돌려준 뒤에는 항상 false)
+         */
+        canSpend(method) {
+            return !exhausted && used + getCost(method) <= budget;
+        },
+
+        /**
+         * 요청 한 번의 비용 기록
+         */
+        spend(method) {
+            used += getCost(method);
+            calls[method]++;
+        },
+
+        /**
+         * API가 할당량 초과를 알린 경우 남은 요청 중단
+         */
+        markExhausted() {
+            exhausted = true;
+        },
+
+        /**
+         * 더 이상 어떤 요청도 할 수 없는지
+         */
+        isExhausted() {
+            return exhausted || used + Math.min(...Object.values(QUOTA_COSTS)) > budget;
+        },
+
+        summary() {
+            return { budget, used, remaining: Math.max(0, budget - used), calls: { ...calls }, exhausted: this.isExhausted() };
+        }
+    };
+}
+
+module.exports = {
+    QUOTA_COSTS,
+    getQuotaBudget,
+    createQuotaLedger
+};
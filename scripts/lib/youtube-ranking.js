@@ -0,0 +1,317 @@
+/**
+ * YouTube 검색 후보 순위 매기기
+ *
+ * search.list 스니펫만으로는 공식 영상을 가리기 어려우므로 videos.list 상세 정보(길이, 조회수, 라이선스)와
+ * 채널 종류(아티스트 공식 채널, VEVO, "- Topic" 자동 생성 채널), 곡명 유사도로 점수를 매긴다.
+ * 선택된 영상의 점수와 점수 근거(reason)는 결과에 함께 저장해 잘못 고른 영상을 설명할 수 있게 한다.
+ *
+ * 후보는 공식 뮤직비디오(mv), 가사 영상(lyric), 공식 음원(audio), 라이브(live)로 분류하고 종류별로 가장 좋은 영상을 고른다.
+ * 퍼가기가 막혔거나 지역 제한, 비공개인 영상은 페이지에서 재생되지 않으므로 건너뛰고 다음 순위 영상을 고른다.
+ */
+
+const { getTrackArtists } = require('./artist-parser');
+const { normalizeText, normalizeTitle } = require('./track-identity');
+const { diceCoefficient } = require('./track-matching');
+
+// 영상 종류 (플레이어가 선호하는 순서)
+const VIDEO_TYPES = ['mv', 'lyric', 'audio', 'live'];
+
+// 영상 제목으로 종류를 판별하는 규칙 (위에서부터 처음 일치하는 규칙, 없으면 mv)
+const VIDEO_TYPE_RULES = [
+    [/\blive\b|concert/, 'live'],
+    [/lyric|letra|가사/, 'lyric'],
+    [/\baudio\b|visuali[sz]er/, 'audio']
+];
+
+// 곡명에 없는데 영상 제목에 있으면 다른 버전일 가능성이 높은 키워드
+const EXCLUDE_KEYWORDS = ['cover', 'remix', 'acoustic', 'karaoke', 'instrumental', 'sped up', 'slowed', 'reverb', 'nightcore', '8d audio', 'reaction'];
+
+// 종류별 영상으로 고르기 위한 최소 곡명 유사도 (같은 아티스트의 다른 곡 제외)
+const MIN_TITLE_SIMILARITY = 0.5;
+
+// 레이블/배급사 채널로 볼 키워드 (아티스트 채널보다 낮은 점수)
+const LABEL_KEYWORDS = ['records', 'recordings', 'entertainment', 'music group'];
+
+// 길이를 모를 때 곡으로 볼 수 있는 범위 (초)
+const MIN_TRACK_SECONDS = 90;
+const MAX_TRACK_SECONDS = 480;
+
+/**
+ * ISO 8601 재생 시간("PT3M25S") → 초, 형식이 맞지 않으면 null
+ */
+function parseISODuration(duration) {
+    const match = String(duration || '').match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+    if (!match || duration === 'P' || duration === 'PT') return null;
+
+    const [, days, hours, minutes, seconds] = match.map(value => parseInt(value, 10) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * 검색/매칭에 사용할 주 아티스트 목록 (primaryArtists가 없으면 artist 문자열에서 분리)
+ */
+function getPrimaryArtists(track) {
+    if (Array.isArray(track.primaryArtists) && track.primaryArtists.length > 0) {
+        return track.primaryArtists;
+    }
+    return getTrackArtists(track);
+}
+
+/**
+ * 채널 종류 판별: artist(아티스트 공식 채널), vevo, topic("- Topic" 자동 생성), label, other
+ */
+function getChannelType(channelTitle, artistNames) {
+    const channel = String(channelTitle || '');
+    const normalized = normalizeText(channel);
+    const compact = normalized.replace(/\s+/g, '');
+    const compactArtists = artistNames.map(name => normalizeText(name).replace(/\s+/g, '')).filter(Boolean);
+
+    if (/\s-\sTopic$/i.test(channel)) {
+        const topicArtist = normalizeText(channel.replace(/\s-\sTopic$/i, '')).replace(/\s+/g, '');
+        return compactArtists.includes(topicArtist) ? 'topic' : 'other';
+    }
+    if (compactArtists.some(name => compact === `${name}vevo`)) return 'vevo';
+    if (compactArtists.some(name => compact === name || compact === `${name}official` || compact === `official${name}`)) return 'artist';
+    if (LABEL_KEYWORDS.some(keyword => normalized.includes(keyword))) return 'label';
+    return 'other';
+}
+
+/**
+ * 영상 제목과 곡명의 유사도 (아티스트 이름, 괄호 속 표기를 지운 뒤 비교, 0~1)
+ */
+function getTitleSimilarity(videoTitle, trackTitle, artistNames) {
+    const target = normalizeTitle(trackTitle);
+    let cleaned = normalizeText(String(videoTitle || '').replace(/[([{【][^)\]}】]*[)\]}】]/g, ' '));
+
+    for (const name of artistNames.map(normalizeText).filter(Boolean)) {
+        cleaned = cleaned.split(name).join(' ');
+    }
+    cleaned = cleaned.replace(/\b(official|music|video|audio|mv|lyrics?|visualizer|ft|feat)\b/g, ' ').replace(/\s+/g, ' ').trim();
+
+    if (!target) return 0;
+    if (cleaned === target) return 1;
+    return Math.max(diceCoefficient(cleaned, target), cleaned.includes(target) ? 0.9 : 0);
+}
+
+/**
+ * 페이지에서 재생할 수 없는 사유 (unavailable | not_embeddable | region_blocked | private | not_processed), 재생 가능하면 null
+ *
+ * details는 videos.list 항목으로, 요청한 영상이 응답에 없으면(삭제 등) unavailable이다.
+ * region은 재생 여부를 확인할 국가 코드 (ISO 3166-1 alpha-2, 예: US)
+ */
+function getPlayabilityIssue(details, region) {
+    if (!details) return 'unavailable';
+
+    const status = details.status || {};
+    const restriction = (details.contentDetails && details.contentDetails.regionRestriction) || {};
+    const regionCode = String(region || '').toUpperCase();
+
+    if (status.privacyStatus && !['public', 'unlisted'].includes(status.privacyStatus)) return 'private';
+    if (status.uploadStatus && status.uploadStatus !== 'processed') return 'not_processed';
+    if (status.embeddable === false) return 'not_embeddable';
+    if (regionCode && Array.isArray(restriction.blocked) && restriction.blocked.includes(regionCode)) return 'region_blocked';
+    if (regionCode && Array.isArray(restriction.allowed) && !restriction.allowed.includes(regionCode)) return 'region_blocked';
+    return null;
+}
+
+/**
+ * 곡명에 없는 키워드 중 다른 버전(커버, 리믹스 등)을 나타내는 키워드, 없으면 null
+ */
+function getExcludedKeyword(videoTitle, trackTitle) {
+    const lowerTitle = String(videoTitle || '').toLowerCase();
+    const lowerTrackTitle = String(trackTitle || '').toLowerCase();
+    return EXCLUDE_KEYWORDS.find(keyword => lowerTitle.includes(keyword) && !lowerTrackTitle.includes(keyword)) || null;
+}
+
+/**
+ * 영상 종류 판별 (mv | lyric | audio | live), 다른 버전이면 null
+ *
+ * 아티스트 "- Topic" 채널의 자동 생성 영상은 음원(audio)으로 본다.
+ */
+function classifyVideo(videoTitle, channelType, trackTitle) {
+    if (getExcludedKeyword(videoTitle, trackTitle)) return null;
+
+    const lowerTitle = String(videoTitle || '').toLowerCase();
+    const lowerTrackTitle = String(trackTitle || '').toLowerCase();
+    const rule = VIDEO_TYPE_RULES.find(([pattern]) => pattern.test(lowerTitle) && !pattern.test(lowerTrackTitle));
+
+    if (rule) return rule[1];
+    return channelType === 'topic' ? 'audio' : 'mv';
+}
+
+/**
+ * 후보 하나의 점수와 근거
+ *
+ * details는 videos.list 항목 (없으면 스니펫만으로 계산), context.targetSeconds는 기준 곡 길이
+ */
+function scoreVideoCandidate(video, details, track, { index = 0, targetSeconds = null } = {}) {
+    const artistNames = getPrimaryArtists(track);
+    const snippet = (details && details.snippet) || video.snippet || {};
+    const videoTitle = String(snippet.title || '');
+    const lowerTitle = videoTitle.toLowerCase();
+    const reasons = [];
+    let score = 0;
+
+    const add = (points, reason) => {
+        if (points === 0) return;
+        score += points;
+        reasons.push(`${reason} (${points > 0 ? '+' : ''}${points})`);
+    };
+
+    // 곡명 유사도
+    const titleSimilarity = getTitleSimilarity(videoTitle, track.title, artistNames);
+    add(Math.round(titleSimilarity * 20), `title similarity ${titleSimilarity.toFixed(2)}`);
+
+    // 제목에 주 아티스트 포함
+    if (artistNames.some(name => normalizeText(videoTitle).includes(normalizeText(name)))) {
+        add(5, 'artist in title');
+    }
+
+    // 채널 종류
+    const channelType = getChannelType(snippet.channelTitle, artistNames);
+    const type = classifyVideo(videoTitle, channelType, track.title);
+    const channelPoints = { artist: 15, vevo: 15, topic: 10, label: 3, other: 0 };
+    add(channelPoints[channelType], `${channelType} channel`);
+
+    // 공식 영상 표기
+    if (lowerTitle.includes('official') || lowerTitle.includes('music video')) {
+        add(3, 'official in title');
+    }
+
+    // 다른 버전 (곡명 자체에 들어 있는 키워드는 제외)
+    const excluded = getExcludedKeyword(videoTitle, track.title);
+    if (excluded) {
+        add(-15, `"${excluded}" version`);
+    }
+
+    const durationSeconds = details ? parseISODuration(details.contentDetails && details.contentDetails.duration) : null;
+    const viewCount = details && details.statistics ? parseInt(details.statistics.viewCount, 10) : NaN;
+    const licensedContent = Boolean(details && details.contentDetails && details.contentDetails.licensedContent);
+
+    // 곡 길이와의 차이 (라이브는 원곡과 길이가 다르므로, 기준 길이를 모르면 곡으로 보기 어려운 길이만 감점)
+    if (durationSeconds !== null) {
+        if (targetSeconds && type !== 'live') {
+            const diff = Math.abs(durationSeconds - targetSeconds);
+            if (diff <= 10) add(10, `duration within ${diff}s of track`);
+            else if (diff <= 30) add(5, `duration within ${diff}s of track`);
+            else if (diff > 90) add(-10, `duration off by ${diff}s`);
+        } else if (durationSeconds < MIN_TRACK_SECONDS || durationSeconds > MAX_TRACK_SECONDS) {
+            add(-10, `unusual duration ${durationSeconds}s`);
+        }
+    }
+
+    // 조회수 (로그 스케일, 최대 10점)
+    if (Number.isFinite(viewCount) && viewCount > 0) {
+        add(Math.min(10, Math.round(Math.log10(viewCount))), `${viewCount.toLocaleString('en-US')} views`);
+    }
+
+    if (licensedContent) {
+        add(5, 'licensed content');
+    }
+
+    // 첫 번째 검색 결과 보너스
+    if (index === 0) {
+        add(2, 'top search result');
+    }
+
+    return {
+        score,
+        reason: reasons.join(', '),
+        type,
+        titleSimilarity,
+        channelType,
+        durationSeconds,
+        viewCount: Number.isFinite(viewCount) ? viewCount : null,
+        licensedContent
+    };
+}
+
+/**
+ * 기준 곡 길이(초): 곡 정보에 길이가 있으면 그 값, 없으면 아티스트 "- Topic" 채널 음원 길이 (자동 생성 음원은 원곡 길이와 같음)
+ */
+function getTargetSeconds(videos, detailsById, track) {
+    if (Number.isFinite(track.durationMs) && track.durationMs > 0) {
+        return Math.round(track.durationMs / 1000);
+    }
+    if (!detailsById) return null;
+
+    const artistNames = getPrimaryArtists(track);
+    for (const video of videos) {
+        const details = detailsById.get(video.id.videoId);
+        if (!details || getChannelType(details.snippet && details.snippet.channelTitle, artistNames) !== 'topic') continue;
+        if (getTitleSimilarity(details.snippet.title, track.title, artistNames) < 0.8) continue;
+
+        const seconds = parseISODuration(details.contentDetails && details.contentDetails.duration);
+        if (seconds) return seconds;
+    }
+    return null;
+}
+
+/**
+ * 검색 결과 후보 순위 (점수 높은 순), detailsById는 영상 ID → videos.list 항목
+ *
+ * 각 후보의 playabilityIssue는 region 기준 재생 불가 사유 (없으면 null). detailsById가 null이면
+ * (상세 정보 조회 실패) 스니펫만으로 점수를 매기고 재생 가능 여부는 확인하지 않는다.
+ */
+function rankVideos(videos, track, detailsById = null, { region = null } = {}) {
+    const targetSeconds = getTargetSeconds(videos, detailsById, track);
+
+    return videos
+        .map((video, index) => {
+            const details = detailsById ? detailsById.get(video.id.videoId) || null : null;
+            return {
+                video,
+                details,
+                playabilityIssue: detailsById ? getPlayabilityIssue(details, region) : null,
+                ...scoreVideoCandidate(video, details, track, { index, targetSeconds })
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 종류별 최적의 비디오 선택 (VIDEO_TYPES 순서, 점수가 0보다 크고 곡명이 충분히 비슷한 후보만)
+ *
+ * 재생할 수 없는 후보는 건너뛰고, 건너뛴 더 높은 점수의 후보는 선택된 후보의 skippedVideos에 남긴다.
+ */
+function findBestVideos(videos, track, detailsById = null, { region = null } = {}) {
+    const ranked = rankVideos(videos, track, detailsById, { region })
+        .filter(candidate => candidate.type && candidate.score > 0 && candidate.titleSimilarity >= MIN_TITLE_SIMILARITY);
+
+    return VIDEO_TYPES
+        .map(type => {
+            const candidates = ranked.filter(candidate => candidate.type === type);
+            const bestIndex = candidates.findIndex(candidate => !candidate.playabilityIssue);
+            if (bestIndex === -1) return null;
+
+            const skippedVideos = candidates.slice(0, bestIndex).map(candidate => ({
+                videoId: candidate.video.id.videoId,
+                title: candidate.video.snippet.title,
+                score: candidate.score,
+                issue: candidate.playabilityIssue
+            }));
+            return { ...candidates[bestIndex], skippedVideos };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * 최적의 비디오 선택 (선호 순서상 첫 번째 종류), 없으면 null
+ */
+function findBestVideo(videos, track, detailsById = null, options = {}) {
+    return findBestVideos(videos, track, detailsById, options)[0] || null;
+}
+
+module.exports = {
+    VIDEO_TYPES,
+    parseISODuration,
+    getPrimaryArtists,
+    getChannelType,
+    getTitleSimilarity,
+    classifyVideo,
+    getPlayabilityIssue,
+    scoreVideoCandidate,
+    rankVideos,
+    findBestVideos,
+    findBestVideo
+};
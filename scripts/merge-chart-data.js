@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * 차트, 크레딧, YouTube 결과를 트랙 식별 키로 합치는 스크립트
+ *
+ * 크레딧 수집과 YouTube 검색은 각자 차트 데이터를 입력으로 따로 실행되므로, 어느 한쪽이 실패하거나
+ * 이전 실행의 결과만 남아 있어도 차트 순서대로 합친 latest-merged 파일을 만들고 HTML 생성은 이 파일을 사용한다.
+ * 결과가 없는 곡은 creditsStatus/youtubeStatus 'missing' 자리표시로 남기고 수동 보정은 그대로 적용한다.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveCountries, resolvePeriod, getSnapshotFileName, getLatestFilePath } = require('./lib/chart-config');
+const { getPeriodDateKey } = require('./lib/chart-period');
+const { getTrackKey } = require('./lib/track-identity');
+const { loadOverrides, warnUnmatchedOverrides, applyCreditsOverride, applyYouTubeOverride } = require('./lib/overrides');
+
+// 환경변수 로드
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+// 차트 파일이 기준인 필드 (크레딧/YouTube 결과의 같은 필드는 사용하지 않음)
+const CHART_FIELDS = ['rank', 'artist', 'title', 'primaryArtists', 'featuredArtists', 'stats', 'history'];
+
+/**
+ * 최신 데이터 파일 로드, 없으면 null
+ */
+async function loadLatestData(kind, country = 'global', period = 'weekly') {
+    const filePath = getLatestFilePath(DATA_DIR, kind, country, period);
+    
+    try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        console.log(`📂 Loaded ${country} ${kind} data: ${data.data.length} entries`);
+        return data;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ Error loading ${kind} data:`, error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * 트랙 식별 키 → 항목
+ */
+function indexByTrackKey(items) {
+    return new Map(items.map(item => [getTrackKey(item), item]));
+}
+
+/**
+ * 크레딧/YouTube 결과에서 차트 필드를 뺀 나머지
+ */
+function omitChartFields(item) {
+    return Object.fromEntries(Object.entries(item).filter(([key]) => !CHART_FIELDS.includes(key)));
+}
+
+/**
+ * 결과 파일 요약 (이번 차트와 기간이 다르면 stale)
+ */
+function describeSource(file, chartPeriod) {
+    if (!file) return null;
+    
+    const stale = Boolean(chartPeriod && file.chartPeriod && getPeriodDateKey(file.chartPeriod) !== getPeriodDateKey(chartPeriod));
+    return {
+        timestamp: file.timestamp || null,
+        periodEnd: file.chartPeriod ? file.chartPeriod.endDate : null,
+        stale
+    };
+}
+
+/**
+ * 차트 순서대로 크레딧, YouTube 결과 합치기
+ */
+function mergeChartData(chartData, creditsData = [], youtubeData = [], overrides = new Map()) {
+    const creditsByKey = indexByTrackKey(creditsData);
+    const youtubeByKey = indexByTrackKey(youtubeData);
+    
+    return chartData.map(track => {
+        const key = getTrackKey(track);
+        const creditsEntry = creditsByKey.get(key);
+        const youtubeEntry = youtubeByKey.get(key);
+        let item = { ...track };
+        
+        // 크레딧 (보정은 크레딧 단계에서 이미 적용됨, 결과가 없으면 자리표시에 보정 적용)
+        item = creditsEntry
+            ? { ...item, ...omitChartFields(creditsEntry) }
+            : applyCreditsOverride({ ...item, album: null, credits: [], creditsStatus: 'missing' }, overrides);
+        
+        // YouTube (고정 영상 보정도 같은 방식)
+        if (youtubeEntry) {
+            const { overrides: youtubeOverrides = [], ...youtubeFields } = omitChartFields(youtubeEntry);
+            const appliedOverrides = [...new Set([...(item.overrides || []), ...youtubeOverrides])];
+            item = { ...item, ...youtubeFields, ...(appliedOverrides.length > 0 && { overrides: appliedOverrides }) };
+        } else {
+            item = applyYouTubeOverride({ ...item, youtube: null, youtubeStatus: 'missing' }, overrides);
+        }
+        
+        return item;
+    });
+}
+
+/**
+ * 합친 데이터 저장
+ */
+async function saveMergedData(mergedData, country = 'global', period = 'weekly', chartPeriod = null, { sources = null } = {}) {
+    const filename = getSnapshotFileName('merged', country, getPeriodDateKey(chartPeriod), period);
+    const filepath = path.join(DATA_DIR, filename);
+    
+    const dataToSave = {
+        timestamp: new Date().toISOString(),
+        source: 'merge',
+        country,
+        period,
+        chartPeriod,
+        sources,
+        coverage: {
+            total: mergedData.length,
+            withCredits: mergedData.filter(item => Array.isArray(item.credits) && item.credits.length > 0).length,
+            withVideos: mergedData.filter(item => item.youtube).length
+        },
+        data: mergedData
+    };
+    
+    try {
+        await fs.writeFile(filepath, JSON.stringify(dataToSave, null, 2));
+        console.log(`💾 Merged data saved to: ${filepath}`);
+        
+        // 최신 데이터로 링크 생성
+        const latestPath = getLatestFilePath(DATA_DIR, 'merged', country, period);
+        await fs.writeFile(latestPath, JSON.stringify(dataToSave, null, 2));
+        console.log(`🔗 Latest merged data linked: ${latestPath}`);
+        
+        return dataToSave;
+    } catch (error) {
+        console.error('❌ Error saving merged data:', error);
+        throw error;
+    }
+}
+
+/**
+ * 메인 실행 함수
+ */
+async function main() {
+    console.log('🚀 Starting chart data merge...');
+    
+    try {
+        const countries = resolveCountries();
+        const period = resolvePeriod();
+        const overrides = await loadOverrides();
+        const results = {};
+        
+        for (const country of countries) {
+            // 1. 차트 데이터는 필수, 크레딧/YouTube 결과는 있는 것만
+            const chartFile = await loadLatestData('chart', country, period);
+            if (!chartFile) {
+                throw new Error(`Chart data not found for ${country}. Run scrape-kworb.js first.`);
+            }
+            warnUnmatchedOverrides(overrides, chartFile.data, `${country} chart`);
+            const creditsFile = await loadLatestData('credits', country, period);
+            const youtubeFile = await loadLatestData('youtube', country, period);
+            
+            const sources = {
+                chart: describeSource(chartFile, chartFile.chartPeriod),
+                credits: describeSource(creditsFile, chartFile.chartPeriod),
+                youtube: describeSource(youtubeFile, chartFile.chartPeriod)
+            };
+            
+            for (const kind of ['credits', 'youtube']) {
+                if (!sources[kind]) {
+                    console.warn(`⚠️ No ${kind} data for ${country}, tracks will have placeholders`);
+                } else if (sources[kind].stale) {
+                    console.warn(`⚠️ ${country} ${kind} data is from an earlier chart (${sources[kind].periodEnd}), reusing it for tracks still on the chart`);
+                }
+            }
+            
+            // 2. 트랙 식별 키로 합치기
+            const mergedData = mergeChartData(
+                chartFile.data,
+                creditsFile ? creditsFile.data : [],
+                youtubeFile ? youtubeFile.data : [],
+                overrides
+            );
+            
+            // 3. 저장
+            const saved = await saveMergedData(mergedData, country, period, chartFile.chartPeriod, { sources });
+            console.log(`📊 ${country} merged: ${saved.coverage.total} tracks, ${saved.coverage.withCredits} with credits, ${saved.coverage.withVideos} with videos`);
+            results[country] = mergedData;
+        }
+        
+        console.log('✅ Chart data merge completed successfully!');
+        
+        return results;
+    } catch (error) {
+        console.error('❌ Chart data merge failed:', error);
+        process.exit(1);
+    }
+}
+
+// 스크립트가 직접 실행될 때만 main 함수 호출
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    mergeChartData,
+    saveMergedData,
+    main
+};
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * 로컬 개발/테스트용 Manus API 대역 서버
+ *
+ * POST /v1/tasks, GET /v1/tasks/:id를 구현하므로 MANUS_API_BASE_URL을 이 서버로 지정하면
+ * API 키와 네트워크 없이 크레딧 수집 단계의 폴링, 시간 초과, 검증 경로를 그대로 실행할 수 있다.
+ *
+ * 설정 (명령행 인자 또는 환경변수)
+ *   --port, MOCK_MANUS_PORT                   포트 (기본 4010)
+ *   --delay, MOCK_MANUS_DELAY_MS              작업 완료까지 걸리는 시간 ms (기본 3000)
+ *   --failure-rate, MOCK_MANUS_FAILURE_RATE   작업이 failed로 끝날 확률 0~1 (기본 0)
+ *   --drop-rate, MOCK_MANUS_DROP_RATE         결과에서 곡이 빠질 확률 0~1 (기본 0)
+ *   --error-rate, MOCK_MANUS_ERROR_RATE       요청이 503으로 실패할 확률 0~1 (기본 0, 재시도 확인용)
+ *   --fixtures, MOCK_MANUS_FIXTURES           곡별 결과 JSON 파일
+ *     [{ "artist", "title", "album", "credits" }] 배열 또는 { "Artist - Title": { "album", "credits" } }
+ *     파일에 없는 곡은 가짜 크레딧을 만들어 돌려준다.
+ *
+ * 사용 예:
+ *   node scripts/mock-manus-server.js --delay 5000 --failure-rate 0.2
+ *   MANUS_API_KEY=mock MANUS_API_BASE_URL=http://localhost:4010 MANUS_POLL_INTERVAL_MS=1000 node scripts/trigger-manus-agent.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const { getArgValue } = require('./lib/chart-config');
+const { getLiteralTrackKey, getTextTrackKey } = require('./lib/track-identity');
+
+/**
+ * 명령행 인자 → 환경변수 → 기본값 순으로 숫자 설정 조회
+ */
+function getNumberOption(argv, name, envName, defaultValue) {
+    const value = parseFloat(getArgValue(argv, name) || process.env[envName]);
+    return Number.isFinite(value) ? value : defaultValue;
+}
+
+/**
+ * 서버 설정 결정
+ */
+function resolveMockOptions(argv = process.argv.slice(2)) {
+    return {
+        port: getNumberOption(argv, '--port', 'MOCK_MANUS_PORT', 4010),
+        delay: getNumberOption(argv, '--delay', 'MOCK_MANUS_DELAY_MS', 3000),
+        failureRate: getNumberOption(argv, '--failure-rate', 'MOCK_MANUS_FAILURE_RATE', 0),
+        dropRate: getNumberOption(argv, '--drop-rate', 'MOCK_MANUS_DROP_RATE', 0),
+        errorRate: getNumberOption(argv, '--error-rate', 'MOCK_MANUS_ERROR_RATE', 0),
+        fixtures: getArgValue(argv, '--fixtures') || process.env.MOCK_MANUS_FIXTURES || null
+    };
+}
+
+/**
+ * 곡별 결과 파일 로드 (트랙 키 → 결과 항목, 아티스트 표기는 나누지 않고 프롬프트의 표기 전체와 비교)
+ */
+function loadFixtures(filePath) {
+    if (!filePath) return new Map();
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entries = Array.isArray(parsed)
+        ? parsed.map(item => [getLiteralTrackKey(item.artist, item.title), item])
+        : Object.entries(parsed).map(([key, value]) => [getTextTrackKey(key), value]);
+
+    console.log(`📂 Loaded ${entries.length} mock credit fixtures from ${filePath}`);
+    return new Map(entries);
+}
+
+/**
+ * 프롬프트의 차트 목록("1위. Artist - Title")에서 곡 추출
+ */
+function parsePromptTracks(prompt) {
+    return [...String(prompt).matchAll(/^(\d+)위\. (.+)$/gm)].map(([, rank, text]) => {
+        const separatorIndex = text.lastIndexOf(' - ');
+        return {
+            rank: parseInt(rank, 10),
+            artist: separatorIndex === -1 ? text : text.slice(0, separatorIndex),
+            title: separatorIndex === -1 ? text : text.slice(separatorIndex + 3)
+        };
+    });
+}
+
+/**
+ * 곡 하나의 결과 (결과 파일에 있으면 그 값, 없으면 가짜 크레딧)
+ */
+function buildMockCredits(track, fixtures) {
+    const fixture = fixtures.get(getLiteralTrackKey(track.artist, track.title));
+    if (fixture) {
+        return { rank: track.rank, artist: track.artist, title: track.title, ...fixture };
+    }
+
+    const sourceUrl = `https://tidal.com/browse/track/mock-${track.rank}/credits`;
+    return {
+        rank: track.rank,
+        artist: track.artist,
+        title: track.title,
+        album: `${track.title} (Mock Album)`,
+        credits: [
+            { role: 'Producer', people: [`${track.artist} Producer`], source: 'mock', sourceUrl, confidence: 0.9 },
+            { role: 'Composer', people: [`${track.artist}`, 'Mock Writer'], source: 'mock', sourceUrl, confidence: 0.9 },
+            { role: 'Mixing Engineer', people: ['Mock Mixer'], source: 'mock', confidence: 0.4 }
+        ]
+    };
+}
+
+function sendJSON(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 대역 서버 생성 (listen은 호출하는 쪽에서)
+ */
+function createMockManusServer(options = {}) {
+    const { delay = 3000, failureRate = 0, dropRate = 0, errorRate = 0 } = options;
+    const fixtures = loadFixtures(options.fixtures);
+    const tasks = new Map();
+    let taskCount = 0;
+
+    // 경과 시간에 따라 pending → running → completed/failed
+    const getTaskResponse = task => {
+        const elapsed = Date.now() - task.createdAt;
+
+        if (elapsed < delay / 2) {
+            return { task_id: task.id, status: 'pending' };
+        }
+        if (elapsed < delay) {
+            return { task_id: task.id, status: 'running' };
+        }
+        if (task.willFail) {
+            return { task_id: task.id, status: 'failed', error: 'Mock task failure' };
+        }
+        return { task_id: task.id, status: 'completed', result: task.result };
+    };
+
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        console.log(`📨 ${req.method} ${pathname}`);
+
+        if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+            return sendJSON(res, 401, { error: 'Missing bearer token' });
+        }
+        if (Math.random() < errorRate) {
+            return sendJSON(res, 503, { error: 'Mock service unavailable' }, { 'Retry-After': '0' });
+        }
+
+        if (req.method === 'POST' && pathname === '/v1/tasks') {
+            let payload;
+            try {
+                payload = JSON.parse(await readBody(req));
+            } catch (error) {
+                return sendJSON(res, 400, { error: 'Invalid JSON body' });
+            }
+            if (typeof payload.prompt !== 'string') {
+                return sendJSON(res, 400, { error: 'prompt is required' });
+            }
+
+            const tracks = parsePromptTracks(payload.prompt);
+            const task = {
+                id: `mock-${++taskCount}-${Date.now()}`,
+                createdAt: Date.now(),
+                willFail: Math.random() < failureRate,
+                result: tracks
+                    .filter(() => Math.random() >= dropRate)
+                    .map(track => buildMockCredits(track, fixtures))
+            };
+            tasks.set(task.id, task);
+
+            console.log(`📝 Created ${task.id} for ${tracks.length} tracks${task.willFail ? ' (will fail)' : ''}`);
+            return sendJSON(res, 200, { task_id: task.id, status: 'pending' });
+        }
+
+        const match = pathname.match(/^\/v1\/tasks\/([^/]+)$/);
+        if (req.method === 'GET' && match) {
+            const task = tasks.get(match[1]);
+            return task
+                ? sendJSON(res, 200, getTaskResponse(task))
+                : sendJSON(res, 404, { error: `Task not found: ${match[1]}` });
+        }
+
+        return sendJSON(res, 404, { error: 'Not found' });
+    });
+}
+
+/**
+ * 메인 실행 함수
+ */
+function main() {
+    const options = resolveMockOptions();
+    const server = createMockManusServer(options);
+
+    server.listen(options.port, () => {
+        console.log(`🧪 Mock Manus API listening on http://localhost:${server.address().port}`);
+        console.log(`⚙️  delay ${options.delay}ms, failure rate ${options.failureRate}, drop rate ${options.dropRate}, error rate ${options.errorRate}`);
+    });
+}
+
+// 스크립트가 직접 실행될 때만 main 함수 호출
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parsePromptTracks,
+    createMockManusServer
+};
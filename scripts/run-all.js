@@ -1,11 +1,15 @@
 #!/usr/bin/env node
 
 /**
- * 전체 차트 자동화 프로세스를 순차적으로 실행하는 스크립트
+ * 전체 차트 자동화 프로세스를 실행하는 스크립트
+ *
+ * 차트 스크래핑 → 크레딧 수집과 YouTube 검색(동시 실행) → 병합 → HTML 생성 순서로 실행하며,
+ * 크레딧/YouTube 중 하나가 실패해도 나머지 결과로 페이지를 만든다.
  */
 
 const { spawn } = require('child_process');
 const path = require('path');
+const { resolvePeriod } = require('./lib/chart-config');
 
 // 환경변수 로드
 require('dotenv').config();
@@ -13,13 +17,13 @@ require('dotenv').config();
 /**
  * 스크립트 실행 함수
  */
-function runScript(scriptPath, description) {
+function runScript(scriptPath, description, args = []) {
     return new Promise((resolve, reject) => {
         console.log(`\n🚀 Starting: ${description}`);
-        console.log(`📄 Script: ${scriptPath}`);
+        console.log(`📄 Script: ${scriptPath} ${args.join(' ')}`);
         console.log('─'.repeat(50));
         
-        const child = spawn('node', [scriptPath], {
+        const child = spawn('node', [scriptPath, ...args], {
             stdio: 'inherit',
             cwd: process.cwd()
         });
@@ -55,34 +59,58 @@ async function main() {
     console.log('═'.repeat(50));
     
     try {
+        const period = resolvePeriod();
+        const scriptArgs = ['--period', period];
+        console.log(`🗓️  Chart period: ${period}`);
+        
         // 1. kworb 차트 스크래핑
         await runScript(
             './scripts/scrape-kworb.js',
-            'Scraping kworb chart data'
+            'Scraping kworb chart data',
+            scriptArgs
         );
         
-        // 2. Manus Agent를 통한 TIDAL 크레딧 수집
-        await runScript(
-            './scripts/trigger-manus-agent.js',
-            'Collecting TIDAL credits via Manus Agent'
-        );
+        // 2. Manus Agent를 통한 TIDAL 크레딧 수집과 YouTube 링크 수집 (둘 다 차트 데이터만 필요하므로 동시 실행)
+        const [creditsResult, youtubeResult] = await Promise.allSettled([
+            runScript(
+                './scripts/trigger-manus-agent.js',
+                'Collecting TIDAL credits via Manus Agent',
+                scriptArgs
+            ),
+            runScript(
+                './scripts/get-youtube-links.js',
+                'Collecting YouTube video links',
+                scriptArgs
+            )
+        ]);
+        const creditsOk = creditsResult.status === 'fulfilled';
+        const youtubeOk = youtubeResult.status === 'fulfilled';
+        
+        if (!creditsOk && !youtubeOk) {
+            throw new Error('Both credits and YouTube collection failed');
+        }
+        if (!creditsOk || !youtubeOk) {
+            console.warn(`\n⚠️  ${creditsOk ? 'YouTube' : 'Credits'} collection failed, publishing with the remaining data`);
+        }
         
-        // 3. YouTube 링크 수집
+        // 3. 차트/크레딧/YouTube 결과 병합
         await runScript(
-            './scripts/get-youtube-links.js',
-            'Collecting YouTube video links'
+            './scripts/merge-chart-data.js',
+            'Merging chart, credits and YouTube data',
+            scriptArgs
         );
         
         // 4. HTML 생성
         await runScript(
             './scripts/generate-html.js',
-            'Generating HTML page'
+            'Generating HTML page',
+            scriptArgs
         );
         
         const endTime = Date.now();
         const duration = Math.round((endTime - startTime) / 1000);
         
-        console.log('\n🎉 ALL PROCESSES COMPLETED SUCCESSFULLY!');
+        console.log(creditsOk && youtubeOk ? '\n🎉 ALL PROCESSES COMPLETED SUCCESSFULLY!' : '\n🎉 COMPLETED WITH PARTIAL DATA');
         console.log('═'.repeat(50));
         console.log(`⏱️  Total duration: ${duration} seconds`);
         console.log(`📅 Completed at: ${new Date().toISOString()}`);
@@ -93,8 +121,9 @@ async function main() {
         // 성공 통계
         console.log('\n📊 PROCESS SUMMARY:');
         console.log('✅ Chart data scraped from kworb.net');
-        console.log('✅ TIDAL credits collected via Manus Agent');
-        console.log('✅ YouTube video links gathered');
+        console.log(creditsOk ? '✅ TIDAL credits collected via Manus Agent' : '⚠️  TIDAL credits collection failed (previous or placeholder credits used)');
+        console.log(youtubeOk ? '✅ YouTube video links gathered' : '⚠️  YouTube collection failed (previous or no videos used)');
+        console.log('✅ Chart, credits and YouTube data merged');
         console.log('✅ HTML page generated');
         console.log('\n🚀 Ready for deployment!');
         
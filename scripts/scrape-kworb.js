@@ -1,18 +1,20 @@
 #!/usr/bin/env node
 
 /**
- * kworb.net에서 글로벌 Spotify 주간 차트 데이터를 스크래핑하는 스크립트
+ * 차트 소스(기본: kworb.net, 또는 CSV/JSON 파일)에서 국가별 Spotify 주간/일간 차트 데이터를 수집하는 스크립트
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
+// 환경변수 로드 (차트 소스 모듈이 CHART_RANGE를 읽기 전에 로드)
+require('dotenv').config();
+
 const fs = require('fs').promises;
 const path = require('path');
+const { getArgValue, resolveCountries, resolvePeriod, getSnapshotFileName, getLatestFilePath } = require('./lib/chart-config');
+const { parseDateText, createChartPeriod, estimateChartPeriod } = require('./lib/chart-period');
+const { resolveChartSource } = require('./lib/chart-sources');
+const { loadChartSnapshots, buildChartHistory, applyChartHistory } = require('./lib/chart-history');
+const { getKworbUrl, parseKworbNumber, parsePositionChange, parseKworbChart, scrapeKworbChart } = require('./lib/chart-sources/kworb');
 
-// 환경변수 로드
-require('dotenv').config();
-
-const KWORB_URL = 'https://kworb.net/spotify/country/global_weekly.html';
 const CHART_RANGE = parseInt(process.env.CHART_RANGE) || 30;
 const DATA_DIR = process.env.DATA_DIR || './data';
 
@@ -30,83 +32,53 @@ async function ensureDataDir() {
 }
 
 /**
- * kworb.net에서 차트 데이터 스크래핑
+ * 차트 기간 결정 (--chart-date 지정값 > 소스가 알려준 기간 > 실행 날짜 기준 추정)
  */
-async function scrapeKworbChart() {
-    console.log(`🌐 Scraping chart data from: ${KWORB_URL}`);
-    console.log(`📊 Chart range: 1-${CHART_RANGE}`);
+function resolveChartPeriod(sourcePeriod, period = 'weekly', argv = process.argv.slice(2)) {
+    const chartDateArg = getArgValue(argv, '--chart-date');
     
-    try {
-        const response = await axios.get(KWORB_URL, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            },
-            timeout: 30000
-        });
-        
-        const $ = cheerio.load(response.data);
-        const chartData = [];
-        
-        // kworb 테이블에서 데이터 추출
-        $('table tr').each((index, element) => {
-            if (index === 0) return; // 헤더 스킵
-            if (chartData.length >= CHART_RANGE) return; // 범위 제한
-            
-            const $row = $(element);
-            const rank = chartData.length + 1;
-            
-            // 아티스트와 곡명 추출
-            const artistAndTitle = $row.find('td').eq(1).text().trim();
-            
-            if (artistAndTitle && artistAndTitle !== '') {
-                // "Artist - Title" 형식에서 분리
-                const parts = artistAndTitle.split(' - ');
-                let artist, title;
-                
-                if (parts.length >= 2) {
-                    artist = parts[0].trim();
-                    title = parts.slice(1).join(' - ').trim();
-                } else {
-                    // 분리가 안 되는 경우 전체를 제목으로
-                    artist = 'Unknown Artist';
-                    title = artistAndTitle;
-                }
-                
-                chartData.push({
-                    rank,
-                    artist,
-                    title,
-                    rawText: artistAndTitle
-                });
-                
-                console.log(`${rank}. ${artist} - ${title}`);
-            }
-        });
-        
-        if (chartData.length === 0) {
-            throw new Error('No chart data found. Website structure might have changed.');
+    if (chartDateArg) {
+        const chartDate = parseDateText(chartDateArg);
+        if (!chartDate) {
+            throw new Error(`Invalid --chart-date: ${chartDateArg} (expected YYYY-MM-DD)`);
         }
-        
-        console.log(`✅ Successfully scraped ${chartData.length} chart entries`);
-        return chartData;
-        
-    } catch (error) {
-        console.error('❌ Error scraping kworb chart:', error.message);
-        throw error;
+        return createChartPeriod(period, chartDate);
+    }
+    
+    if (sourcePeriod) {
+        return sourcePeriod;
     }
+    
+    const estimated = estimateChartPeriod(period);
+    console.warn(`⚠️ Chart date not found in source, assuming ${estimated.endDate}`);
+    return estimated;
 }
 
 /**
- * 차트 데이터를 JSON 파일로 저장
+ * 저장된 이전 스냅샷과 비교해 각 항목에 히스토리(지난 순위, 변동, NEW/RE-ENTRY, 최고 순위, 차트인 횟수) 추가
  */
-async function saveChartData(chartData) {
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `chart-${timestamp}.json`;
+async function addChartHistory(chartData, country = 'global', period = 'weekly', currentDate = estimateChartPeriod(period).endDate) {
+    const snapshots = await loadChartSnapshots(DATA_DIR, country, period);
+    const history = buildChartHistory(snapshots);
+    
+    console.log(`📚 Loaded ${snapshots.length} previous ${country} ${period} snapshots`);
+    return applyChartHistory(chartData, history, currentDate);
+}
+
+/**
+ * 차트 데이터를 JSON 파일로 저장 (파일명은 차트 기간의 마지막 날짜 기준이므로 같은 차트를 다시 수집하면 덮어씀)
+ */
+async function saveChartData(chartData, { country = 'global', period = 'weekly', source, chartPeriod } = {}) {
+    const resolvedPeriod = chartPeriod || estimateChartPeriod(period);
+    const filename = getSnapshotFileName('chart', country, resolvedPeriod.endDate, period);
     const filepath = path.join(DATA_DIR, filename);
     
     const dataToSave = {
         timestamp: new Date().toISOString(),
-        source: KWORB_URL,
+        source: source || getKworbUrl(country, period),
+        country,
+        period,
+        chartPeriod: resolvedPeriod,
         range: CHART_RANGE,
         data: chartData
     };
@@ -116,7 +88,7 @@ async function saveChartData(chartData) {
         console.log(`💾 Chart data saved to: ${filepath}`);
         
         // 최신 데이터로 링크 생성
-        const latestPath = path.join(DATA_DIR, 'latest-chart.json');
+        const latestPath = getLatestFilePath(DATA_DIR, 'chart', country, period);
         await fs.writeFile(latestPath, JSON.stringify(dataToSave, null, 2));
         console.log(`🔗 Latest chart data linked: ${latestPath}`);
         
@@ -131,20 +103,53 @@ async function saveChartData(chartData) {
  * 메인 실행 함수
  */
 async function main() {
-    console.log('🚀 Starting kworb chart scraping...');
+    console.log('🚀 Starting chart data collection...');
     
     try {
         await ensureDataDir();
-        const chartData = await scrapeKworbChart();
-        const savedFile = await saveChartData(chartData);
         
-        console.log('✅ kworb scraping completed successfully!');
-        console.log(`📄 Data saved to: ${savedFile}`);
-        console.log(`📊 Total entries: ${chartData.length}`);
+        const chartSource = resolveChartSource();
+        const period = resolvePeriod();
+        
+        // 파일 가져오기처럼 차트가 하나뿐인 소스는 첫 번째(또는 --country로 지정한) 국가로 저장
+        const countries = chartSource.supportsCountries ? resolveCountries() : resolveCountries().slice(0, 1);
+        const results = {};
+        const failedCountries = [];
+        
+        console.log(`🔌 Chart source: ${chartSource.name}`);
+        console.log(`🌍 Countries: ${countries.join(', ')} (${period})`);
+        
+        // 한 국가가 실패해도 나머지 국가는 계속 수집
+        for (const country of countries) {
+            try {
+                const { source, data, chartPeriod: sourcePeriod } = await chartSource.fetchChart({ country, period });
+                const chartPeriod = resolveChartPeriod(sourcePeriod, period);
+                const chartData = await addChartHistory(data, country, period, chartPeriod.endDate);
+                const savedFile = await saveChartData(chartData, { country, period, source, chartPeriod });
+                
+                console.log(`🗓️  ${country} chart period: ${chartPeriod.startDate} ~ ${chartPeriod.endDate} (${chartPeriod.isoWeekLabel})`);
+                console.log(`📄 ${country} data saved to: ${savedFile}`);
+                console.log(`📊 ${country} total entries: ${chartData.length}`);
+                results[country] = chartData;
+            } catch (error) {
+                console.error(`❌ ${country} chart collection failed:`, error.message);
+                failedCountries.push(country);
+            }
+        }
+        
+        if (failedCountries.length === countries.length) {
+            throw new Error('Chart collection failed for every configured country');
+        }
+        
+        if (failedCountries.length > 0) {
+            console.warn(`⚠️ Skipped countries: ${failedCountries.join(', ')}`);
+        }
+        
+        console.log('✅ Chart data collection completed successfully!');
         
-        return chartData;
+        return results;
     } catch (error) {
-        console.error('❌ kworb scraping failed:', error);
+        console.error('❌ Chart data collection failed:', error);
         process.exit(1);
     }
 }
@@ -155,7 +160,13 @@ if (require.main === module) {
 }
 
 module.exports = {
+    getKworbUrl,
+    parseKworbNumber,
+    parsePositionChange,
+    parseKworbChart,
     scrapeKworbChart,
+    resolveChartPeriod,
+    addChartHistory,
     saveChartData,
     main
 };
@@ -2,128 +2,80 @@
 
 /**
  * Manus Agent를 통해 TIDAL 크레딧 정보를 수집하는 스크립트
+ *
+ * 작업 제출/상태 조회는 크레딧 제공자(lib/credits-providers)를 통해 하며, 기본 제공자는 Manus다.
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { resolveCountries, resolvePeriod, getChartKey, getSnapshotFileName, getLatestFilePath } = require('./lib/chart-config');
+const { getPeriodDateKey } = require('./lib/chart-period');
+const { loadLatestChartData } = require('./lib/chart-data');
+const { resolveCreditsProvider } = require('./lib/credits-providers');
+const { chunk, mapWithConcurrency } = require('./lib/concurrency');
+const { isRetryable } = require('./lib/http-client');
+const { normalizeCredits } = require('./lib/credit-roles');
+const { matchTracks } = require('./lib/track-matching');
+const { loadOverrides, warnUnmatchedOverrides, applyCreditsOverride } = require('./lib/overrides');
+const { loadCreditsCache, saveCreditsCache, lookupCredits, storeCredits } = require('./lib/credits-cache');
 
 // 환경변수 로드
 require('dotenv').config();
 
-const MANUS_API_KEY = process.env.MANUS_API_KEY;
-const MANUS_API_BASE_URL = process.env.MANUS_API_BASE_URL || 'https://api.manus.ai';
 const DATA_DIR = process.env.DATA_DIR || './data';
 
-/**
- * Manus API 클라이언트 설정
- */
-const manusClient = axios.create({
-    baseURL: MANUS_API_BASE_URL,
-    headers: {
-        'Authorization': `Bearer ${MANUS_API_KEY}`,
-        'Content-Type': 'application/json'
-    },
-    timeout: 300000 // 5분 타임아웃 (크레딧 수집은 시간이 오래 걸릴 수 있음)
-});
+// 크레딧 수집 작업 분할 설정 (작업당 곡 수, 동시 작업 수, 곡별 최대 시도 횟수)
+const CREDITS_BATCH_SIZE = parseInt(process.env.CREDITS_BATCH_SIZE) || 5;
+const CREDITS_CONCURRENCY = parseInt(process.env.CREDITS_CONCURRENCY) || 3;
+const CREDITS_MAX_ATTEMPTS = parseInt(process.env.CREDITS_MAX_ATTEMPTS) || 2;
 
-/**
- * 최신 차트 데이터 로드
- */
-async function loadLatestChartData() {
-    const chartPath = path.join(DATA_DIR, 'latest-chart.json');
-    
-    try {
-        const data = await fs.readFile(chartPath, 'utf8');
-        const chartData = JSON.parse(data);
-        console.log(`📊 Loaded chart data: ${chartData.data.length} entries`);
-        return chartData.data;
-    } catch (error) {
-        console.error('❌ Error loading chart data:', error);
-        throw new Error('Chart data not found. Run scrape-kworb.js first.');
-    }
-}
+// 작업 상태 확인 간격과 작업당 최대 대기 시간
+const MANUS_POLL_INTERVAL_MS = parseInt(process.env.MANUS_POLL_INTERVAL_MS) || 30000;
+const MANUS_TASK_TIMEOUT_MS = parseInt(process.env.MANUS_TASK_TIMEOUT_MS) || 1800000;
 
 /**
- * Manus Agent에게 크레딧 수집 작업 요청
+ * 크레딧 제공자에게 크레딧 수집 작업 요청 (chartData는 차트 전체 또는 일부 곡)
  */
-async function requestCreditsCollection(chartData) {
-    console.log('🤖 Requesting TIDAL credits collection from Manus Agent...');
-    
-    // Manus Agent에게 보낼 프롬프트 생성
-    const prompt = `
-다음 글로벌 Spotify 주간 차트 1위부터 ${chartData.length}위까지 각 곡의 TIDAL 크레딧 정보를 수집해주세요.
-
-차트 목록:
-${chartData.map(item => `${item.rank}위. ${item.artist} - ${item.title}`).join('\n')}
-
-각 곡에 대해 다음 형식으로 크레딧 정보를 수집해주세요:
-
-{
-    rank: ${chartData[0].rank},
-    artist: "${chartData[0].artist}",
-    title: "${chartData[0].title}",
-    album: "앨범명",
-    credits: [
-        { role: "PRODUCER", people: "프로듀서1, 프로듀서2" },
-        { role: "COMPOSER", people: "작곡가1, 작곡가2" },
-        { role: "LYRICIST", people: "작사가1, 작사가2" },
-        { role: "MASTERING ENGINEER", people: "마스터링 엔지니어" },
-        { role: "MIXING ENGINEER", people: "믹싱 엔지니어" },
-        // 기타 모든 크레딧 정보...
-    ]
-}
-
-TIDAL에서 각 곡을 검색하여 상세한 크레딧 정보를 수집해주세요. 
-결과는 JSON 배열 형태로 제공해주세요.
-`;
-
+async function requestCreditsCollection(provider, chartData, country = 'global', period = 'weekly') {
+    console.log(`🤖 Requesting TIDAL credits collection from ${provider.description} (${country}, ${period})...`);
+    
     try {
-        const response = await manusClient.post('/v1/tasks', {
-            type: 'data_collection',
-            prompt: prompt,
-            parameters: {
-                source: 'tidal',
-                format: 'json',
-                timeout: 1800 // 30분
-            }
-        });
-        
-        const taskId = response.data.task_id;
+        const taskId = await provider.submitTask({ tracks: chartData, country, period });
         console.log(`📝 Task created: ${taskId}`);
         
         return taskId;
     } catch (error) {
-        console.error('❌ Error creating Manus task:', error.response?.data || error.message);
+        console.error('❌ Error creating credits task:', error.response?.data || error.message);
         throw error;
     }
 }
 
 /**
- * Manus Agent 작업 상태 확인 및 결과 대기
+ * 작업 상태 확인 및 결과 대기
  */
-async function waitForTaskCompletion(taskId) {
+async function waitForTaskCompletion(provider, taskId) {
     console.log(`⏳ Waiting for task completion: ${taskId}`);
     
-    const maxAttempts = 60; // 최대 30분 대기 (30초 간격)
+    const maxAttempts = Math.ceil(MANUS_TASK_TIMEOUT_MS / MANUS_POLL_INTERVAL_MS);
     let attempts = 0;
     
     while (attempts < maxAttempts) {
         try {
-            const response = await manusClient.get(`/v1/tasks/${taskId}`);
-            const task = response.data;
+            const task = await provider.getTask(taskId);
             
-            console.log(`📊 Task status: ${task.status} (${attempts + 1}/${maxAttempts})`);
+            console.log(`📊 Task ${taskId} status: ${task.rawStatus || task.status} (${attempts + 1}/${maxAttempts})`);
             
             if (task.status === 'completed') {
                 console.log('✅ Task completed successfully!');
                 return task.result;
             } else if (task.status === 'failed') {
-                throw new Error(`Task failed: ${task.error}`);
+                const error = new Error(`Task failed: ${task.error}`);
+                error.taskStatus = 'failed';
+                throw error;
             }
             
-            // 30초 대기
-            await new Promise(resolve => setTimeout(resolve, 30000));
+            await new Promise(resolve => setTimeout(resolve, MANUS_POLL_INTERVAL_MS));
             attempts++;
             
         } catch (error) {
@@ -132,7 +84,17 @@ async function waitForTaskCompletion(taskId) {
         }
     }
     
-    throw new Error('Task timeout: Credits collection took too long');
+    const error = new Error('Task timeout: Credits collection took too long');
+    error.taskStatus = 'running';
+    throw error;
+}
+
+/**
+ * 작업 확인 실패 후에도 작업이 계속 실행 중이라고 볼 수 있는지 (대기 시간 초과, 일시적인 네트워크/429/5xx 오류)
+ */
+function isTaskStillRunning(error) {
+    if (error.taskStatus) return error.taskStatus === 'running';
+    return isRetryable(error, 'get');
 }
 
 /**
@@ -146,8 +108,8 @@ function validateAndCleanCredits(creditsData) {
     }
     
     const cleanedData = creditsData.map(item => {
-        // 필수 필드 검증
-        if (!item.rank || !item.artist || !item.title) {
+        // 필수 필드 검증 (순위는 차트와 연결할 때 참고만 하므로 필수 아님)
+        if (!item || !item.artist || !item.title) {
             console.warn(`⚠️ Missing required fields for item:`, item);
             return null;
         }
@@ -158,12 +120,8 @@ function validateAndCleanCredits(creditsData) {
             item.credits = [];
         }
         
-        // 크레딧 정리
-        item.credits = item.credits.filter(credit => 
-            credit.role && credit.people && 
-            typeof credit.role === 'string' && 
-            typeof credit.people === 'string'
-        );
+        // 크레딧 정리 (표준 역할/분류로 매핑하고 people을 이름 배열로 분리, 출처가 없으면 에이전트 추정으로 표시)
+        item.credits = normalizeCredits(item.credits).map(credit => ({ ...credit, source: credit.source || 'agent' }));
         
         return item;
     }).filter(item => item !== null);
@@ -172,17 +130,362 @@ function validateAndCleanCredits(creditsData) {
     return cleanedData;
 }
 
+/**
+ * 차트 항목 하나의 크레딧 항목 생성
+ *
+ * 순위/아티스트/곡명, 아티스트 구조(primaryArtists, featuredArtists), kworb 통계(stats), 차트 히스토리(history)는
+ * 차트 항목 값을 쓴다. 크레딧이 없으면 빈 크레딧과 상태(creditsStatus, creditsError)를 가진 자리표시 항목을 만든다.
+ *
+ * creditsStatus: collected | cached | pending(작업 실행 중) | failed(작업 실패) | missing(결과에 없음) | queued(아직 요청 전)
+ */
+function buildCreditsEntry(track, creditItem = null, failure = null) {
+    const chartFields = {
+        rank: track.rank,
+        artist: track.artist,
+        title: track.title,
+        primaryArtists: track.primaryArtists || [],
+        featuredArtists: track.featuredArtists || [],
+        stats: track.stats || null,
+        history: track.history || null
+    };
+    
+    if (creditItem) {
+        return { ...creditItem, ...chartFields, creditsStatus: creditItem.cachedAt ? 'cached' : 'collected' };
+    }
+    
+    return {
+        ...chartFields,
+        album: null,
+        credits: [],
+        creditsStatus: failure ? failure.status : 'queued',
+        creditsError: failure ? failure.error : null
+    };
+}
+
+/**
+ * 조정 요약에 남길 에이전트 결과 항목 정보
+ */
+function describeAgentItem(item) {
+    return { agentRank: item.rank ?? null, agentArtist: item.artist, agentTitle: item.title };
+}
+
+/**
+ * 이어서 확인할 Manus 작업 상태 파일 경로 (국가/기간별)
+ */
+function getTaskStatePath(country, period) {
+    return path.join(DATA_DIR, `manus-state-${getChartKey(country, period)}.json`);
+}
+
+/**
+ * 입력 차트 식별용 해시 (순위, 아티스트, 곡명이 같으면 같은 차트)
+ */
+function getChartHash(chartData) {
+    const tracks = chartData.map(item => [item.rank, item.artist, item.title]);
+    return crypto.createHash('sha1').update(JSON.stringify(tracks)).digest('hex');
+}
+
+/**
+ * 저장된 작업 상태 로드, 없거나 읽을 수 없으면 null
+ */
+async function loadTaskState(statePath) {
+    try {
+        return JSON.parse(await fs.readFile(statePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Ignoring unreadable Manus task state ${statePath}:`, error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * 작업 상태 저장
+ */
+async function saveTaskState(statePath, state) {
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await fs.writeFile(statePath, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+/**
+ * 곡 묶음 하나를 크레딧 작업으로 수집 ({ collected, failed, pendingTaskId, reconciliation }, taskId가 있으면 그 작업을 이어서 확인)
+ */
+async function collectCreditsBatch(provider, batch, country, period, label, { taskId = null, onSubmit = null } = {}) {
+    const ranks = batch.map(item => item.rank).join(', ');
+    console.log(`📦 ${label}: ranks ${ranks}`);
+    
+    const collected = new Map();
+    const failed = new Map();
+    const reconciliation = { corrections: [], unmatched: [], ambiguous: [] };
+    let activeTaskId = taskId;
+    let settled = false;
+    let pendingTaskId = null;
+    
+    try {
+        if (activeTaskId) {
+            console.log(`♻️ ${label}: resuming task ${activeTaskId}`);
+        } else {
+            activeTaskId = await requestCreditsCollection(provider, batch, country, period);
+            if (onSubmit) await onSubmit(activeTaskId);
+        }
+        
+        const creditsResult = await waitForTaskCompletion(provider, activeTaskId);
+        settled = true;
+        const { matches, unmatched, ambiguous } = matchTracks(validateAndCleanCredits(creditsResult), batch);
+        
+        for (const track of batch) {
+            const match = matches.get(track.rank);
+            if (!match) {
+                failed.set(track.rank, { status: 'missing', error: 'Not returned by Manus Agent' });
+                continue;
+            }
+            
+            collected.set(track.rank, { ...match.item, rank: track.rank, artist: track.artist, title: track.title });
+            
+            // 순위나 표기가 차트와 달랐던 결과는 어떤 차트 항목에 연결했는지 기록
+            if (Number(match.item.rank) !== track.rank || match.score < 1) {
+                reconciliation.corrections.push({ rank: track.rank, ...describeAgentItem(match.item), score: match.score });
+            }
+        }
+        
+        reconciliation.unmatched.push(...unmatched.map(describeAgentItem));
+        reconciliation.ambiguous.push(...ambiguous.map(({ item, rank, candidates }) => ({
+            ...describeAgentItem(item),
+            rank,
+            candidates
+        })));
+        
+        if (unmatched.length > 0 || ambiguous.length > 0) {
+            console.warn(`⚠️ ${label}: ${unmatched.length} unmatched, ${ambiguous.length} ambiguous agent results`);
+        }
+    } catch (error) {
+        console.error(`❌ ${label} failed:`, error.message);
+        
+        // 시간 초과나 일시적인 오류면 작업은 Manus에서 계속 실행 중이므로 다음 실행에서 이어서 확인
+        // (404 등 4xx 응답이면 작업이 만료되었거나 없으므로 곡을 다시 요청)
+        if (activeTaskId && !settled && isTaskStillRunning(error)) {
+            pendingTaskId = activeTaskId;
+        }
+        const failure = pendingTaskId
+            ? { status: 'pending', error: `Task ${pendingTaskId} still running (${error.message}), rerun to resume` }
+            : { status: 'failed', error: error.message };
+        batch.forEach(track => failed.set(track.rank, failure));
+    }
+    
+    console.log(`📊 ${label}: ${collected.size}/${batch.length} tracks collected`);
+    return { collected, failed, pendingTaskId, reconciliation };
+}
+
+/**
+ * 차트 전체 크레딧 수집 (캐시에 없는 곡만 묶음별 작업으로 요청, 상태 파일로 이전 실행의 작업을 이어서 확인)
+ */
+async function collectCredits(provider, chartData, country = 'global', period = 'weekly', chartPeriod = null, { force = false, useCache = true } = {}) {
+    const statePath = getTaskStatePath(country, period);
+    const chartHash = getChartHash(chartData);
+    let state = await loadTaskState(statePath);
+    
+    if (state && force) {
+        console.log(`🔄 --force: ignoring saved Manus task state (${(state.pendingTasks || []).length} tasks in flight)`);
+        state = null;
+    } else if (state && state.chartHash !== chartHash) {
+        console.log('🆕 Chart changed since the saved Manus task state, starting a new collection');
+        state = null;
+    }
+    
+    if (state) {
+        console.log(`♻️ Resuming saved Manus collection: ${Object.keys(state.completed || {}).length} tracks collected, ${(state.pendingTasks || []).length} tasks in flight`);
+    } else {
+        state = {
+            country,
+            period,
+            chartPeriod,
+            chartHash,
+            createdAt: new Date().toISOString(),
+            input: chartData.map(item => ({ rank: item.rank, artist: item.artist, title: item.title })),
+            pendingTasks: [],
+            completed: {},
+            failures: {},
+            reconciliation: { corrections: [], unmatched: [], ambiguous: [] }
+        };
+    }
+    
+    const collected = new Map(Object.entries(state.completed || {}).map(([rank, item]) => [Number(rank), item]));
+    const failures = new Map(Object.entries(state.failures || {}).map(([rank, failure]) => [
+        Number(rank),
+        typeof failure === 'string' ? { status: 'failed', error: failure } : failure
+    ]));
+    const reconciliation = { corrections: [], unmatched: [], ambiguous: [], ...state.reconciliation };
+    const pendingTasks = state.pendingTasks || [];
+    const chartByRank = new Map(chartData.map(item => [item.rank, item]));
+    const creditsCache = await loadCreditsCache();
+    const overrides = await loadOverrides();
+    warnUnmatchedOverrides(overrides, chartData, `${country} chart`);
+    let cachedCount = 0;
+    let saveQueue = Promise.resolve();
+    
+    // 캐시에 있는 곡은 Manus에 요청하지 않음
+    if (useCache) {
+        for (const track of chartData) {
+            if (collected.has(track.rank)) continue;
+            
+            const entry = lookupCredits(creditsCache, track);
+            if (entry) {
+                collected.set(track.rank, {
+                    ...entry,
+                    rank: track.rank,
+                    artist: track.artist,
+                    title: track.title,
+                    credits: normalizeCredits(entry.credits)
+                });
+                failures.delete(track.rank);
+                cachedCount++;
+            }
+        }
+        console.log(`💾 Reused cached credits for ${cachedCount}/${chartData.length} tracks`);
+    }
+    
+    // 차트 순서대로 모든 곡의 항목 생성 (수집하지 못한 곡은 자리표시 항목)
+    const buildResult = () => {
+        const creditsData = chartData.map(track => applyCreditsOverride(
+            buildCreditsEntry(track, collected.get(track.rank), failures.get(track.rank)),
+            overrides
+        ));
+        const missing = creditsData
+            .filter(entry => !collected.has(entry.rank) && entry.creditsStatus !== 'override')
+            .map(entry => ({
+                rank: entry.rank,
+                artist: entry.artist,
+                title: entry.title,
+                status: entry.creditsStatus,
+                error: entry.creditsError
+            }));
+        const cached = creditsData.filter(entry => entry.creditsStatus === 'cached').length;
+        
+        return {
+            creditsData,
+            coverage: {
+                collected: creditsData.length - missing.length,
+                cached,
+                total: chartData.length,
+                missing
+            },
+            reconciliation: { matched: collected.size - cached, ...reconciliation }
+        };
+    };
+    
+    // 동시에 끝난 작업의 저장이 겹치지 않도록 순서대로 저장
+    const saveProgress = () => {
+        saveQueue = saveQueue.then(async () => {
+            await saveTaskState(statePath, {
+                ...state,
+                pendingTasks,
+                completed: Object.fromEntries(collected),
+                failures: Object.fromEntries(failures),
+                reconciliation
+            });
+            await saveCreditsCache(creditsCache);
+            
+            const { creditsData, coverage, reconciliation: summary } = buildResult();
+            await saveCreditsData(creditsData, country, period, chartPeriod, { coverage, reconciliation: summary });
+        }).catch(error => {
+            console.warn('⚠️ Failed to save partial credits:', error.message);
+        });
+        return saveQueue;
+    };
+    
+    const removePendingTask = taskId => {
+        const index = pendingTasks.findIndex(task => task.taskId === taskId);
+        if (index !== -1) pendingTasks.splice(index, 1);
+    };
+    
+    // 아직 실행 중인 작업이 맡은 곡은 중복 요청하지 않음
+    const getRemainingTracks = () => {
+        const pendingRanks = new Set(pendingTasks.flatMap(task => task.ranks));
+        return chartData.filter(item => !collected.has(item.rank) && !pendingRanks.has(item.rank));
+    };
+    
+    const runJobs = async (jobs, attemptLabel) => {
+        await mapWithConcurrency(jobs, CREDITS_CONCURRENCY, async ({ batch, taskId }, index) => {
+            const label = `[${country}] ${attemptLabel}, batch ${index + 1}/${jobs.length}`;
+            let submittedTaskId = taskId || null;
+            
+            const result = await collectCreditsBatch(provider, batch, country, period, label, {
+                taskId,
+                onSubmit: newTaskId => {
+                    submittedTaskId = newTaskId;
+                    pendingTasks.push({
+                        taskId: newTaskId,
+                        ranks: batch.map(item => item.rank),
+                        submittedAt: new Date().toISOString()
+                    });
+                    return saveProgress();
+                }
+            });
+            
+            if (submittedTaskId && !result.pendingTaskId) {
+                removePendingTask(submittedTaskId);
+            }
+            result.collected.forEach((item, rank) => {
+                collected.set(rank, item);
+                failures.delete(rank);
+                storeCredits(creditsCache, chartByRank.get(rank), item);
+            });
+            result.failed.forEach((failure, rank) => failures.set(rank, failure));
+            reconciliation.corrections.push(...result.reconciliation.corrections);
+            reconciliation.unmatched.push(...result.reconciliation.unmatched);
+            reconciliation.ambiguous.push(...result.reconciliation.ambiguous);
+            
+            await saveProgress();
+        });
+    };
+    
+    // 1. 이전 실행에서 제출한 작업 이어서 확인
+    if (pendingTasks.length > 0) {
+        const resumeJobs = pendingTasks.map(task => ({
+            taskId: task.taskId,
+            batch: chartData.filter(item => task.ranks.includes(item.rank))
+        }));
+        console.log(`⏳ Resuming ${resumeJobs.length} Manus tasks from the previous run`);
+        await runJobs(resumeJobs, 'resume');
+    }
+    
+    // 2. 남은 곡을 묶음으로 수집
+    const remaining = getRemainingTracks();
+    if (remaining.length > 0) {
+        console.log(`🧩 Collecting credits for ${remaining.length} tracks (batch size ${CREDITS_BATCH_SIZE}, concurrency ${CREDITS_CONCURRENCY})`);
+        await runJobs(chunk(remaining, CREDITS_BATCH_SIZE).map(batch => ({ batch })), 'attempt 1');
+    }
+    
+    // 3. 실패한 곡은 다른 곡의 영향을 받지 않도록 한 곡씩 재시도
+    for (let attempt = 2; attempt <= CREDITS_MAX_ATTEMPTS; attempt++) {
+        const retryTracks = getRemainingTracks();
+        if (retryTracks.length === 0) break;
+        
+        console.log(`🔁 Retrying ${retryTracks.length} missing tracks individually (attempt ${attempt}/${CREDITS_MAX_ATTEMPTS})`);
+        await runJobs(chunk(retryTracks, 1).map(batch => ({ batch })), `attempt ${attempt}`);
+    }
+    
+    await saveProgress();
+    return buildResult();
+}
+
 /**
  * 크레딧 데이터 저장
+ *
+ * coverage: 수집한 곡 수, 캐시에서 가져온 곡 수, 전체 곡 수, 수집하지 못한 곡 목록
+ * reconciliation: 에이전트 결과와 차트 항목 연결 요약 (matched, corrections, unmatched, ambiguous)
  */
-async function saveCreditsData(creditsData) {
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `credits-${timestamp}.json`;
+async function saveCreditsData(creditsData, country = 'global', period = 'weekly', chartPeriod = null, { coverage = null, reconciliation = null } = {}) {
+    const filename = getSnapshotFileName('credits', country, getPeriodDateKey(chartPeriod), period);
     const filepath = path.join(DATA_DIR, filename);
     
     const dataToSave = {
         timestamp: new Date().toISOString(),
         source: 'manus-agent-tidal',
+        country,
+        period,
+        chartPeriod,
+        coverage,
+        reconciliation,
         data: creditsData
     };
     
@@ -191,7 +494,7 @@ async function saveCreditsData(creditsData) {
         console.log(`💾 Credits data saved to: ${filepath}`);
         
         // 최신 데이터로 링크 생성
-        const latestPath = path.join(DATA_DIR, 'latest-credits.json');
+        const latestPath = getLatestFilePath(DATA_DIR, 'credits', country, period);
         await fs.writeFile(latestPath, JSON.stringify(dataToSave, null, 2));
         console.log(`🔗 Latest credits data linked: ${latestPath}`);
         
@@ -208,31 +511,47 @@ async function saveCreditsData(creditsData) {
 async function main() {
     console.log('🚀 Starting TIDAL credits collection via Manus Agent...');
     
-    if (!MANUS_API_KEY) {
-        throw new Error('MANUS_API_KEY environment variable is required');
-    }
-    
     try {
-        // 1. 차트 데이터 로드
-        const chartData = await loadLatestChartData();
+        // 크레딧 제공자 준비 (Manus는 MANUS_API_KEY 필요)
+        const provider = resolveCreditsProvider();
+        console.log(`🔌 Credits provider: ${provider.description}`);
         
-        // 2. Manus Agent에게 크레딧 수집 요청
-        const taskId = await requestCreditsCollection(chartData);
+        const countries = resolveCountries();
+        const period = resolvePeriod();
+        const force = process.argv.includes('--force');
+        const useCache = !process.argv.includes('--no-cache');
+        const results = {};
+        const failedCountries = [];
         
-        // 3. 작업 완료 대기
-        const creditsResult = await waitForTaskCompletion(taskId);
-        
-        // 4. 결과 데이터 검증 및 정리
-        const cleanedCredits = validateAndCleanCredits(creditsResult);
+        for (const country of countries) {
+            // 1. 차트 데이터 로드
+            const chartFile = await loadLatestChartData(DATA_DIR, country, period);
+            
+            // 2. 곡 묶음별 크레딧 수집 (결과는 작업이 끝날 때마다 저장되고, 실행 중인 작업은 다음 실행에서 이어서 확인)
+            const { creditsData, coverage, reconciliation } = await collectCredits(provider, chartFile.data, country, period, chartFile.chartPeriod, { force, useCache });
+            
+            console.log(`🎵 ${country} credits collected: ${coverage.collected}/${coverage.total} (${coverage.cached} from cache)`);
+            if (coverage.missing.length > 0) {
+                console.warn(`⚠️ ${country} tracks still missing credits:`);
+                coverage.missing.forEach(item => console.warn(`   ${item.rank}. ${item.artist} - ${item.title} (${item.status}: ${item.error})`));
+            }
+            if (reconciliation.unmatched.length > 0 || reconciliation.ambiguous.length > 0) {
+                console.warn(`⚠️ ${country} reconciliation: ${reconciliation.unmatched.length} unmatched, ${reconciliation.ambiguous.length} ambiguous agent results (see reconciliation in the credits file)`);
+            }
+            
+            if (coverage.collected === 0) {
+                failedCountries.push(country);
+            }
+            results[country] = creditsData;
+        }
         
-        // 5. 데이터 저장
-        const savedFile = await saveCreditsData(cleanedCredits);
+        if (failedCountries.length === countries.length) {
+            throw new Error('No credits were collected for any configured country');
+        }
         
         console.log('✅ TIDAL credits collection completed successfully!');
-        console.log(`📄 Data saved to: ${savedFile}`);
-        console.log(`🎵 Total credits collected: ${cleanedCredits.length}`);
         
-        return cleanedCredits;
+        return results;
     } catch (error) {
         console.error('❌ Credits collection failed:', error);
         process.exit(1);
@@ -247,7 +566,13 @@ if (require.main === module) {
 module.exports = {
     requestCreditsCollection,
     waitForTaskCompletion,
+    isTaskStillRunning,
     validateAndCleanCredits,
+    buildCreditsEntry,
+    getChartHash,
+    loadTaskState,
+    collectCreditsBatch,
+    collectCredits,
     saveCreditsData,
     main
 };
@@ -2,16 +2,45 @@
  * 차트파인더 레트로 터미널 인터페이스 JavaScript
  */
 
+// 이 값보다 신뢰도가 낮은 크레딧은 흐리게 표시
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// 크레딧 출처 표시 (source → 짧은 라벨)
+const SOURCE_LABELS = {
+    tidal: 'TDL',
+    agent: 'AGT',
+    override: 'FIX'
+};
+
+// 영상 종류 버튼 라벨 (videos 배열은 MV → 가사 영상 → 음원 → 라이브 순서)
+const VIDEO_TYPE_LABELS = {
+    mv: 'MV',
+    lyric: 'LYRIC',
+    audio: 'AUDIO',
+    live: 'LIVE'
+};
+
 class ChartPlayer {
     constructor() {
-        this.currentIndex = 0;
+        this.videoIndex = 0;
+        this.failedVideoIds = new Set();
         this.player = null;
         this.isPlayerReady = false;
         this.chartData = window.chartData || [];
+        this.trackPagesPath = document.body.dataset.trackPages || '';
+        
+        // 곡별 페이지에서 넘어온 경우(#순위) 해당 곡부터 표시
+        this.currentIndex = this.getLinkedTrackIndex();
         
         this.init();
     }
     
+    getLinkedTrackIndex() {
+        const rank = parseInt(window.location.hash.slice(1));
+        const index = this.chartData.findIndex(track => track.rank === rank);
+        return index === -1 ? 0 : index;
+    }
+    
     init() {
         this.setupProgressBar();
         this.setupKeyboardControls();
@@ -72,6 +101,11 @@ class ChartPlayer {
                     e.preventDefault();
                     this.goToTrack(this.chartData.length - 1);
                     break;
+                case 'v':
+                case 'V':
+                    e.preventDefault();
+                    this.cycleVideoType();
+                    break;
             }
         });
         
@@ -85,7 +119,8 @@ class ChartPlayer {
         hint.innerHTML = `
             <kbd>←</kbd><kbd>→</kbd> Navigate | 
             <kbd>Space</kbd> Play/Pause | 
-            <kbd>Home</kbd><kbd>End</kbd> First/Last
+            <kbd>Home</kbd><kbd>End</kbd> First/Last | 
+            <kbd>V</kbd> Video Type
         `;
         document.body.appendChild(hint);
     }
@@ -99,14 +134,27 @@ class ChartPlayer {
         document.getElementById('current-rank').textContent = this.currentIndex + 1;
         document.getElementById('rank-display').textContent = String(track.rank).padStart(2, '0');
         document.getElementById('song-title').textContent = track.title;
-        document.getElementById('artist-name').textContent = track.artist;
+        document.getElementById('artist-name').textContent = track.featuredArtists && track.featuredArtists.length > 0
+            ? `${track.artist} feat. ${track.featuredArtists.join(', ')}`
+            : track.artist;
         document.getElementById('album-name').textContent = track.album;
         
+        // 곡별 페이지 링크 (공유용 고정 URL)
+        const trackLink = document.getElementById('track-link');
+        if (trackLink) {
+            trackLink.href = `${this.trackPagesPath}${track.rank}.html`;
+        }
+        
+        // 차트 통계 업데이트
+        this.displayStats(track.stats);
+        
         // 크레딧 정보 업데이트
         this.displayCredits(track.credits);
         
-        // YouTube 비디오 업데이트
-        this.updateYouTubeVideo(track.youtubeId);
+        // YouTube 비디오 업데이트 (MV부터, 종류 전환 버튼 표시)
+        this.videoIndex = 0;
+        this.displayVideoTypes(track);
+        this.updateYouTubeVideo(this.getCurrentVideoId());
         
         // 진행 바 업데이트
         this.updateProgressBar();
@@ -120,6 +168,65 @@ class ChartPlayer {
         console.log(`🎵 Now displaying: ${track.artist} - ${track.title}`);
     }
     
+    displayStats(stats) {
+        const statsContainer = document.getElementById('chart-stats');
+        statsContainer.innerHTML = '';
+        
+        if (!stats) return;
+        
+        const formatNumber = value => value.toLocaleString('en-US');
+        const items = [];
+        
+        // 순위 변동 (NEW/RE 표시 우선)
+        if (stats.chartStatus) {
+            items.push(this.createStatSpan(stats.chartStatus, 'stat-up'));
+        } else if (stats.positionChange > 0) {
+            items.push(this.createStatSpan(`▲${stats.positionChange}`, 'stat-up'));
+        } else if (stats.positionChange < 0) {
+            items.push(this.createStatSpan(`▼${Math.abs(stats.positionChange)}`, 'stat-down'));
+        } else if (stats.positionChange === 0) {
+            items.push(this.createStatSpan('='));
+        }
+        
+        // 주간 차트는 weeksOnChart, 일간 차트는 daysOnChart
+        if (Number.isFinite(stats.weeksOnChart)) {
+            items.push(this.createStatItem(this.createStatSpan(stats.weeksOnChart, 'stat-value'), ' WKS'));
+        } else if (Number.isFinite(stats.daysOnChart)) {
+            items.push(this.createStatItem(this.createStatSpan(stats.daysOnChart, 'stat-value'), ' DAYS'));
+        }
+        
+        if (Number.isFinite(stats.peakPosition)) {
+            const peakCount = stats.peakCount ? ` (x${stats.peakCount})` : '';
+            items.push(this.createStatItem('PEAK ', this.createStatSpan(`#${stats.peakPosition}${peakCount}`, 'stat-value')));
+        }
+        
+        if (Number.isFinite(stats.streams)) {
+            const parts = [this.createStatSpan(formatNumber(stats.streams), 'stat-value'), ' STREAMS'];
+            if (stats.streamsChange) {
+                const sign = stats.streamsChange > 0 ? '+' : '-';
+                const className = stats.streamsChange > 0 ? 'stat-up' : 'stat-down';
+                parts.push(' ', this.createStatSpan(`${sign}${formatNumber(Math.abs(stats.streamsChange))}`, className));
+            }
+            items.push(this.createStatItem(...parts));
+        }
+        
+        statsContainer.append(...items);
+    }
+    
+    createStatSpan(text, className) {
+        // 데이터 값은 textContent로만 넣는다
+        const span = document.createElement('span');
+        if (className) span.className = className;
+        span.textContent = String(text);
+        return span;
+    }
+    
+    createStatItem(...parts) {
+        const item = document.createElement('span');
+        item.append(...parts);
+        return item;
+    }
+    
     displayCredits(credits) {
         const creditsList = document.getElementById('credits-list');
         creditsList.innerHTML = '';
@@ -129,16 +236,54 @@ class ChartPlayer {
             return;
         }
         
+        // 표준 역할(PRODUCER, MIXING_ENGINEER 등)을 표시하고 원래 역할 이름은 툴팁으로
         credits.forEach(credit => {
             const li = document.createElement('li');
-            li.innerHTML = `
-                <span class="credit-role">${credit.role}:</span>
-                <span class="credit-people">${credit.people}</span>
-            `;
+            const people = Array.isArray(credit.people) ? credit.people.join(', ') : credit.people;
+            const isLowConfidence = Number.isFinite(credit.confidence) && credit.confidence < LOW_CONFIDENCE_THRESHOLD;
+            li.className = `credit-${credit.category || 'other'}${isLowConfidence ? ' credit-low-confidence' : ''}`;
+            li.title = credit.rawRole || credit.role;
+            
+            // 역할과 이름은 외부 데이터이므로 HTML로 해석하지 않고 텍스트로 넣음
+            const role = document.createElement('span');
+            role.className = 'credit-role';
+            role.textContent = `${String(credit.role).replace(/_/g, ' ')}:`;
+            
+            const names = document.createElement('span');
+            names.className = 'credit-people';
+            names.textContent = people;
+            
+            li.append(role, ' ', names, ' ');
+            
+            if (credit.source || credit.sourceUrl) {
+                li.appendChild(this.createSourceMarker(credit));
+            }
             creditsList.appendChild(li);
         });
     }
     
+    createSourceMarker(credit) {
+        // 출처 URL이 있으면 링크, 없으면 라벨만 (툴팁에 출처와 신뢰도)
+        const marker = document.createElement(credit.sourceUrl ? 'a' : 'span');
+        const source = credit.source || 'unknown';
+        const details = [source];
+        
+        if (Number.isFinite(credit.confidence)) {
+            details.push(`confidence ${Math.round(credit.confidence * 100)}%`);
+        }
+        
+        marker.className = `credit-source credit-source-${source}`;
+        marker.textContent = `[${SOURCE_LABELS[source] || source.slice(0, 3).toUpperCase()}]`;
+        marker.title = details.join(' · ');
+        
+        if (credit.sourceUrl) {
+            marker.href = credit.sourceUrl;
+            marker.target = '_blank';
+            marker.rel = 'noopener noreferrer';
+        }
+        return marker;
+    }
+    
     setupYouTubePlayer() {
         // YouTube IFrame API가 로드되면 플레이어 초기화
         window.onYouTubeIframeAPIReady = () => {
@@ -166,11 +311,11 @@ class ChartPlayer {
                 'onReady': () => {
                     this.isPlayerReady = true;
                     console.log('🎬 YouTube player ready');
-                    this.updateYouTubeVideo(this.chartData[this.currentIndex]?.youtubeId);
+                    this.updateYouTubeVideo(this.getCurrentVideoId());
                 },
                 'onError': (event) => {
                     console.error('🎬 YouTube player error:', event.data);
-                    this.showVideoUnavailable();
+                    this.handleVideoError();
                 }
             }
         });
@@ -195,6 +340,78 @@ class ChartPlayer {
         }
     }
     
+    getTrackVideos(track) {
+        // 종류별 영상 (videos가 없는 이전 데이터는 대표 영상 하나)
+        if (!track) return [];
+        if (Array.isArray(track.videos) && track.videos.length > 0) return track.videos;
+        return track.youtubeId ? [{ type: 'mv', id: track.youtubeId }] : [];
+    }
+    
+    getCurrentVideoId() {
+        const video = this.getTrackVideos(this.chartData[this.currentIndex])[this.videoIndex];
+        return video ? video.id : null;
+    }
+    
+    displayVideoTypes(track) {
+        const container = document.getElementById('video-types');
+        container.innerHTML = '';
+        
+        const videos = this.getTrackVideos(track);
+        if (videos.length < 2) return;
+        
+        videos.forEach((video, index) => {
+            const button = document.createElement('button');
+            button.className = 'video-type';
+            button.textContent = VIDEO_TYPE_LABELS[video.type] || video.type.toUpperCase();
+            button.addEventListener('click', () => this.switchVideo(index));
+            container.appendChild(button);
+        });
+        
+        this.updateVideoTypes();
+    }
+    
+    updateVideoTypes() {
+        const videos = this.getTrackVideos(this.chartData[this.currentIndex]);
+        document.querySelectorAll('.video-type').forEach((button, index) => {
+            button.classList.toggle('active', index === this.videoIndex);
+            button.classList.toggle('unavailable', this.failedVideoIds.has(videos[index]?.id));
+        });
+    }
+    
+    switchVideo(index) {
+        const videos = this.getTrackVideos(this.chartData[this.currentIndex]);
+        if (index < 0 || index >= videos.length) return;
+        
+        this.videoIndex = index;
+        this.updateVideoTypes();
+        this.updateYouTubeVideo(videos[index].id);
+    }
+    
+    cycleVideoType() {
+        const videos = this.getTrackVideos(this.chartData[this.currentIndex]);
+        if (videos.length < 2) return;
+        
+        this.switchVideo((this.videoIndex + 1) % videos.length);
+    }
+    
+    handleVideoError() {
+        // 재생할 수 없는 영상이면 다음 종류의 영상으로 (MV → 가사 영상 → 음원 → 라이브)
+        const videos = this.getTrackVideos(this.chartData[this.currentIndex]);
+        const failedId = videos[this.videoIndex]?.id;
+        if (failedId) {
+            this.failedVideoIds.add(failedId);
+        }
+        
+        const nextIndex = videos.findIndex((video, index) => index > this.videoIndex && !this.failedVideoIds.has(video.id));
+        if (nextIndex !== -1) {
+            console.log(`🎬 Falling back to ${videos[nextIndex].type} video`);
+            this.switchVideo(nextIndex);
+        } else {
+            this.updateVideoTypes();
+            this.showVideoUnavailable();
+        }
+    }
+    
     showVideoUnavailable() {
         const playerContainer = document.getElementById('youtube-player');
         playerContainer.innerHTML = `
@@ -313,10 +530,27 @@ class TerminalEffects {
     }
 }
 
+/**
+ * 페이지에 삽입된 JSON 데이터 블록(#chart-data) 읽기
+ */
+function readChartData() {
+    const dataElement = document.getElementById('chart-data');
+    if (!dataElement) return null;
+    
+    try {
+        return JSON.parse(dataElement.textContent);
+    } catch (error) {
+        console.error('❌ Invalid chart data:', error);
+        return null;
+    }
+}
+
 // 애플리케이션 초기화
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🚀 Chart Finder Terminal initializing...');
     
+    window.chartData = window.chartData || readChartData();
+    
     // 차트 데이터 검증
     if (!window.chartData || !Array.isArray(window.chartData) || window.chartData.length === 0) {
         console.error('❌ No chart data available');
@@ -0,0 +1,96 @@
+/**
+ * 차트 아카이브 (스냅샷 선택, 기간 라벨, 이전/다음 링크)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    loadArchiveSnapshots,
+    getSnapshotChartPeriod,
+    getArchiveLabel,
+    getArchiveNavigation
+} = require('../scripts/lib/chart-archive');
+const { createChartPeriod } = require('../scripts/lib/chart-period');
+
+let dataDir;
+
+function writeSnapshot(file, content) {
+    fs.writeFileSync(path.join(dataDir, file), JSON.stringify({ data: [], ...content }));
+}
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('loadArchiveSnapshots', () => {
+    test('prefers merged, then YouTube, then chart snapshots for each date', async () => {
+        writeSnapshot('merged-global-2025-01-09.json', { source: 'merge' });
+        writeSnapshot('youtube-global-2025-01-09.json', { source: 'youtube' });
+        writeSnapshot('youtube-global-2025-01-02.json', { source: 'youtube' });
+        writeSnapshot('chart-global-2025-01-02.json', { source: 'kworb' });
+        writeSnapshot('chart-global-2024-12-26.json', { source: 'kworb' });
+
+        const snapshots = await loadArchiveSnapshots(dataDir, 'global');
+
+        expect(snapshots.map(({ date, kind }) => [date, kind])).toEqual([
+            ['2024-12-26', 'chart'],
+            ['2025-01-02', 'youtube'],
+            ['2025-01-09', 'merged']
+        ]);
+    });
+
+    test('includes legacy global snapshots and prefers the current file name', async () => {
+        writeSnapshot('chart-2024-12-16.json', { source: 'legacy' });
+        writeSnapshot('chart-2024-12-26.json', { source: 'legacy' });
+        writeSnapshot('chart-global-2024-12-26.json', { source: 'kworb' });
+
+        const snapshots = await loadArchiveSnapshots(dataDir, 'global');
+
+        expect(snapshots.map(({ date, file }) => [date, file.source])).toEqual([
+            ['2024-12-16', 'legacy'],
+            ['2024-12-26', 'kworb']
+        ]);
+    });
+
+    test('keeps countries and periods apart', async () => {
+        writeSnapshot('chart-2024-12-16.json', {});
+        writeSnapshot('merged-kr-2025-01-02.json', {});
+        writeSnapshot('merged-kr-daily-2025-01-03.json', {});
+
+        expect((await loadArchiveSnapshots(dataDir, 'kr')).map(snapshot => snapshot.date)).toEqual(['2025-01-02']);
+        expect((await loadArchiveSnapshots(dataDir, 'kr', 'daily')).map(snapshot => snapshot.date)).toEqual(['2025-01-03']);
+    });
+
+    test('returns no snapshots when the data directory is missing', async () => {
+        expect(await loadArchiveSnapshots(path.join(dataDir, 'missing'), 'global')).toEqual([]);
+    });
+});
+
+describe('getSnapshotChartPeriod', () => {
+    test('derives the period from the snapshot date when the file has none', () => {
+        const period = getSnapshotChartPeriod({ date: '2024-12-16', file: { data: [] } }, 'weekly');
+
+        expect(period).toMatchObject({ startDate: '2024-12-10', endDate: '2024-12-16', isoWeekLabel: '2024-W51' });
+        expect(getArchiveLabel({ date: '2024-12-16', file: { data: [] } })).toBe('2024-W51');
+    });
+
+    test('uses the chart period stored in the snapshot', () => {
+        const chartPeriod = createChartPeriod('weekly', '2025-01-02');
+        expect(getSnapshotChartPeriod({ date: '2025-01-02', file: { chartPeriod } })).toBe(chartPeriod);
+    });
+});
+
+describe('getArchiveNavigation', () => {
+    test('links the previous and next stored periods', () => {
+        const snapshots = ['2024-12-26', '2025-01-02', '2025-01-09'].map(date => ({ date, file: { chartPeriod: createChartPeriod('weekly', date) } }));
+        const navigation = getArchiveNavigation(snapshots, '2025-01-02', 'global', 'weekly', '../../');
+
+        expect(navigation.previous).toMatchObject({ date: '2024-12-26', label: '2024-W52' });
+        expect(navigation.next).toMatchObject({ date: '2025-01-09', label: '2025-W02' });
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * CSV/JSON 차트 파일 가져오기 (tests/fixtures/regional-global-weekly-2025-01-02.csv)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    parseCSV,
+    parseArtistField,
+    normalizeRecord,
+    importChartFile,
+    createFileImportSource
+} = require('../scripts/lib/chart-sources/file-import');
+
+const CSV_FIXTURE = path.join(__dirname, 'fixtures', 'regional-global-weekly-2025-01-02.csv');
+
+// 파싱한 항목마다 출력하는 진행 로그 숨김
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parseCSV', () => {
+    test('handles a BOM, quoted fields, escaped quotes and CRLF', () => {
+        const records = parseCSV('\uFEFFrank,track_name\r\n1,"Say ""Hi"", then go"\r\n\r\n2,Plain\r\n');
+        expect(records).toEqual([
+            { rank: '1', track_name: 'Say "Hi", then go' },
+            { rank: '2', track_name: 'Plain' }
+        ]);
+    });
+
+    test('returns no records for an empty file', () => {
+        expect(parseCSV('\n\n')).toEqual([]);
+    });
+});
+
+describe('parseArtistField', () => {
+    test('splits only on the separator and keeps & in names', () => {
+        expect(parseArtistField('Lady Gaga, Bruno Mars')).toEqual(['Lady Gaga', 'Bruno Mars']);
+        expect(parseArtistField('Mumford & Sons')).toEqual(['Mumford & Sons']);
+    });
+
+    test('cannot tell a comma inside a name from the separator', () => {
+        expect(parseArtistField('Tyler, The Creator')).toEqual(['Tyler', 'The Creator']);
+    });
+
+    test('keeps names from a JSON array cell whole', () => {
+        expect(parseArtistField('["Tyler, The Creator", "Kali Uchis"]')).toEqual(['Tyler, The Creator', 'Kali Uchis']);
+        expect(parseArtistField('[not json, A')).toEqual(['[not json', 'A']);
+    });
+
+    test('uses a custom separator and keeps arrays as given', () => {
+        expect(parseArtistField('Earth, Wind & Fire; Emotions', ';')).toEqual(['Earth, Wind & Fire', 'Emotions']);
+        expect(parseArtistField(['Simon & Garfunkel', ' '])).toEqual(['Simon & Garfunkel']);
+    });
+});
+
+describe('normalizeRecord', () => {
+    test('derives movement and chart status from previous rank', () => {
+        const moved = normalizeRecord({ rank: '2', artist_names: 'A', track_name: 'B', previous_rank: '5' }, 0);
+        const reEntry = normalizeRecord({ rank: '3', artist_names: 'A', track_name: 'C', previous_rank: '0', weeks_on_chart: '4' }, 1);
+        const debut = normalizeRecord({ rank: '4', artist_names: 'A', track_name: 'D', weeks_on_chart: '1' }, 2);
+
+        expect(moved.stats).toMatchObject({ positionChange: 3, chartStatus: null });
+        expect(reEntry.stats).toMatchObject({ positionChange: null, chartStatus: 'RE' });
+        expect(debut.stats).toMatchObject({ positionChange: null, chartStatus: 'NEW' });
+    });
+
+    test('parses "Artist - Title" when there is no artist column', () => {
+        expect(normalizeRecord({ title: 'Doja Cat - Paint The Town Red' }, 4)).toMatchObject({
+            rank: 5,
+            artist: 'Doja Cat',
+            title: 'Paint The Town Red'
+        });
+    });
+
+    test('keeps entries already in pipeline format', () => {
+        const entry = { rank: '7', artist: 'X', title: 'Y', primaryArtists: ['X'], featuredArtists: [] };
+        expect(normalizeRecord(entry, 0)).toEqual({ ...entry, rank: 7 });
+    });
+});
+
+describe('importChartFile', () => {
+    test('imports a Spotify Charts CSV export', async () => {
+        const { chartData, chartDate } = await importChartFile(CSV_FIXTURE);
+
+        expect(chartDate).toBe('2025-01-02');
+        expect(chartData).toHaveLength(4);
+        expect(chartData[0]).toMatchObject({
+            rank: 1,
+            artist: 'Lady Gaga, Bruno Mars',
+            primaryArtists: ['Lady Gaga', 'Bruno Mars'],
+            stats: { positionChange: 0, weeksOnChart: 19, peakPosition: 1, streams: 48001224 },
+            spotifyUri: 'spotify:track:2plbrEY59IikOBgBGLjaoe',
+            isrc: 'USUM72407461'
+        });
+        expect(chartData[1]).toMatchObject({
+            artist: 'Tyler, The Creator',
+            title: 'See You Again',
+            featuredArtists: ['Kali Uchis'],
+            isrc: 'USQX91700278'
+        });
+        expect(chartData[2].stats.chartStatus).toBe('NEW');
+        expect(chartData[3].stats.chartStatus).toBe('RE');
+    });
+
+    test('reads the chart date declared in a JSON file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-import-'));
+        const file = path.join(dir, 'chart.json');
+        fs.writeFileSync(file, JSON.stringify({
+            chartDate: '2024/12/26',
+            data: [{ position: 2, artists: ['B'], track: 'Second' }, { position: 1, artists: ['A'], track: 'First' }]
+        }));
+
+        try {
+            const { chartData, chartDate } = await importChartFile(file);
+            expect(chartDate).toBe('2024-12-26');
+            expect(chartData.map(entry => entry.title)).toEqual(['First', 'Second']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('splits the artist column on the given separator', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-import-'));
+        const file = path.join(dir, 'chart.csv');
+        fs.writeFileSync(file, 'rank,artist_names,track_name\n1,"Tyler, The Creator; Kali Uchis",See You Again\n');
+
+        try {
+            const { chartData } = await importChartFile(file, { artistSeparator: ';' });
+            expect(chartData[0].primaryArtists).toEqual(['Tyler, The Creator', 'Kali Uchis']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('rejects JSON without a data array', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-import-'));
+        const file = path.join(dir, 'chart.json');
+        fs.writeFileSync(file, JSON.stringify({ rows: [] }));
+
+        try {
+            await expect(importChartFile(file)).rejects.toThrow('Unsupported JSON chart file');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('createFileImportSource', () => {
+    test('requires a file path', () => {
+        expect(() => createFileImportSource()).toThrow('requires a file path');
+    });
+
+    test('returns the chart period from the file name', async () => {
+        const source = createFileImportSource({ file: CSV_FIXTURE });
+        const { source: name, chartPeriod } = await source.fetchChart({ period: 'weekly' });
+
+        expect(name).toBe('file:regional-global-weekly-2025-01-02.csv');
+        expect(chartPeriod).toMatchObject({ startDate: '2024-12-27', endDate: '2025-01-02' });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * YouTube 단계 전체 경로를 합성 응답(tests/fixtures/youtube)으로 재생
+ *
+ * 응답 파일은 실제 API에서 녹화하지 않고 테스트용으로 직접 작성했다 (영상 ID, 조회수 등은 가상의 값).
+ * 검색 → 상세 정보 → 순위/재생 가능 여부 → 캐시 재확인까지 API 키와 네트워크 없이 실행한다.
+ */
+
+const path = require('path');
+const { collectAllYouTubeLinks, searchYouTubeVideo } = require('../scripts/get-youtube-links');
+const { createFixtureProvider } = require('../scripts/lib/youtube-providers/fixtures');
+const { createQuotaLedger } = require('../scripts/lib/youtube-quota');
+const { storeVideo, lookupVideo } = require('../scripts/lib/youtube-cache');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'youtube');
+
+const chart = [
+    { rank: 1, artist: 'The Weeknd', title: 'Blinding Lights', primaryArtists: ['The Weeknd'], featuredArtists: [] },
+    { rank: 2, artist: 'Sabrina Carpenter', title: 'Espresso', primaryArtists: ['Sabrina Carpenter'], featuredArtists: [] },
+    { rank: 3, artist: 'Nova Lane', title: 'Chasing Midnight', primaryArtists: ['Nova Lane'], featuredArtists: [] }
+];
+
+let provider;
+
+beforeEach(() => {
+    provider = createFixtureProvider({ dir: FIXTURES_DIR });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const videoIds = entry => (entry.youtube ? entry.youtube.videos.map(video => `${video.type}:${video.videoId}`) : []);
+
+describe('collectAllYouTubeLinks (synthetic responses)', () => {
+    test('picks the best playable video of each type', async () => {
+        const ledger = createQuotaLedger(10000);
+        const results = await collectAllYouTubeLinks(provider, chart, { ledger, useCache: false, region: 'US' });
+
+        expect(results.map(entry => entry.youtubeStatus)).toEqual(['found', 'found', 'not_found']);
+        expect(videoIds(results[0])).toEqual(['mv:4NRXx6U8ABQ', 'lyric:fHI8X4OXluQ', 'audio:J7p4bzqLvCw', 'live:yzTuBuRdAyA']);
+        expect(results[0].youtube).toMatchObject({
+            videoId: '4NRXx6U8ABQ',
+            url: 'https://www.youtube.com/watch?v=4NRXx6U8ABQ',
+            channelType: 'vevo',
+            durationSeconds: 262,
+            licensedContent: true
+        });
+        expect(results[2].youtube).toBeNull();
+
+        expect(ledger.summary()).toMatchObject({ used: 303, calls: { search: 3, videos: 3 } });
+    });
+
+    test('skips videos that are not embeddable, deleted or blocked in the region', async () => {
+        const [, espresso] = await collectAllYouTubeLinks(provider, chart, { ledger: createQuotaLedger(10000), useCache: false, region: 'US' });
+
+        // 음원(Topic)은 US에서 막혀 있어 고르지 않는다
+        expect(videoIds(espresso)).toEqual(['mv:bT3eJk0rq1c']);
+        expect(espresso.youtube.skippedVideos).toEqual([
+            { videoId: 'eVli-tstM5E', title: 'Sabrina Carpenter - Espresso (Official Video)', score: 67, issue: 'not_embeddable' },
+            { videoId: 'Qs9vKq6oRZ8', title: 'Sabrina Carpenter - Espresso (Official Music Video)', score: 45, issue: 'unavailable' }
+        ]);
+    });
+
+    test('reuses cached videos that are still available and re-searches deleted ones', async () => {
+        const cache = { entries: {} };
+        storeVideo(cache, chart[0], { videoId: '4NRXx6U8ABQ', type: 'mv', videos: [{ type: 'mv', videoId: '4NRXx6U8ABQ' }] });
+        storeVideo(cache, chart[1], { videoId: 'Qs9vKq6oRZ8', type: 'mv', videos: [{ type: 'mv', videoId: 'Qs9vKq6oRZ8' }] });
+
+        const ledger = createQuotaLedger(10000);
+        const results = await collectAllYouTubeLinks(provider, chart.slice(0, 2), { ledger, cache, region: 'US' });
+
+        expect(results.map(entry => entry.youtubeStatus)).toEqual(['cached', 'found']);
+        expect(videoIds(results[0])).toEqual(['mv:4NRXx6U8ABQ']);
+        expect(videoIds(results[1])).toEqual(['mv:bT3eJk0rq1c']);
+        expect(lookupVideo(cache, chart[1]).youtube.videoId).toBe('bT3eJk0rq1c');
+
+        // 캐시 확인 videos.list 1번 + Espresso 검색과 상세 정보
+        expect(ledger.summary()).toMatchObject({ used: 102, calls: { search: 1, videos: 2 } });
+    });
+
+    test('stops searching when the quota budget is reached', async () => {
+        const ledger = createQuotaLedger(101);
+        const results = await collectAllYouTubeLinks(provider, chart, { ledger, useCache: false, region: 'US' });
+
+        expect(results.map(entry => entry.youtubeStatus)).toEqual(['found', 'skipped', 'skipped']);
+    });
+});
+
+describe('searchYouTubeVideo (synthetic responses)', () => {
+    test('treats a request without a recording as a failed search', async () => {
+        const track = { rank: 9, artist: 'Unrecorded Artist', title: 'Unrecorded Song' };
+
+        await expect(searchYouTubeVideo(provider, track, createQuotaLedger(10000), { region: 'US' })).resolves.toBeNull();
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Unrecorded Song'), expect.stringContaining('No recorded fixture'));
+    });
+
+    test('ranks on search snippets only when the details request fails', async () => {
+        const failingDetails = {
+            name: 'flaky',
+            description: 'fixtures without videos.list',
+            request: (method, params) => method === 'videos'
+                ? Promise.reject(new Error('backend error'))
+                : provider.request(method, params)
+        };
+
+        const youtube = await searchYouTubeVideo(failingDetails, chart[1], createQuotaLedger(10000), { region: 'US' });
+
+        // 재생 가능 여부를 확인할 수 없으므로 스니펫 점수가 가장 높은 영상(삭제된 첫 번째 검색 결과)을 그대로 고른다
+        expect(youtube.videoId).toBe('Qs9vKq6oRZ8');
+        expect(youtube.durationSeconds).toBeNull();
+        expect(youtube.skippedVideos).toBeUndefined();
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * 공용 HTTP 클라이언트 (재시도, 조건부 캐시) - 로컬 HTTP 서버로 확인
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createHttpClient, parseRetryAfter, isRetryable } = require('../scripts/lib/http-client');
+
+let server;
+let baseURL;
+let handler;
+let requests;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers });
+        handler(req, res, requests.length);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+describe('parseRetryAfter', () => {
+    test('reads seconds and HTTP dates', () => {
+        expect(parseRetryAfter('2')).toBe(2000);
+        expect(parseRetryAfter(new Date(Date.now() - 1000).toUTCString())).toBe(0);
+        expect(parseRetryAfter(undefined)).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+});
+
+describe('isRetryable', () => {
+    const httpError = status => ({ response: { status } });
+
+    test('retries idempotent requests on transient statuses', () => {
+        expect(isRetryable(httpError(500), 'get')).toBe(true);
+        expect(isRetryable(httpError(429), 'get')).toBe(true);
+        expect(isRetryable(httpError(404), 'get')).toBe(false);
+    });
+
+    test('retries non-idempotent requests only on 429 and 503 responses', () => {
+        expect(isRetryable(httpError(503), 'post')).toBe(true);
+        expect(isRetryable(httpError(500), 'post')).toBe(false);
+    });
+
+    test('retries known network errors on idempotent requests', () => {
+        expect(isRetryable({ code: 'ECONNRESET' }, 'get')).toBe(true);
+        expect(isRetryable({ code: 'ECONNABORTED' }, 'get')).toBe(true);
+        expect(isRetryable({ code: 'ERR_BAD_OPTION' }, 'get')).toBe(false);
+    });
+
+    test('retries non-idempotent requests only on errors raised before the request was sent', () => {
+        expect(isRetryable({ code: 'ECONNREFUSED' }, 'post')).toBe(true);
+        expect(isRetryable({ code: 'ENOTFOUND' }, 'post')).toBe(true);
+        expect(isRetryable({ code: 'ECONNABORTED' }, 'post')).toBe(false);
+        expect(isRetryable({ code: 'ECONNRESET' }, 'post')).toBe(false);
+        expect(isRetryable({ code: 'ETIMEDOUT' }, 'post')).toBe(false);
+    });
+});
+
+describe('createHttpClient retries', () => {
+    test('retries transient failures until the request succeeds', async () => {
+        handler = (req, res, count) => count < 3
+            ? sendJSON(res, 503, { error: 'busy' }, { 'Retry-After': '0' })
+            : sendJSON(res, 200, { ok: true });
+
+        const client = createHttpClient({ baseURL, retries: 3, retryDelay: 1 });
+        const response = await client.get('/chart');
+
+        expect(response.data).toEqual({ ok: true });
+        expect(requests).toHaveLength(3);
+        expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('gives up after the configured number of retries', async () => {
+        handler = (req, res) => sendJSON(res, 500, { error: 'down' });
+
+        const client = createHttpClient({ baseURL, retries: 2, retryDelay: 1 });
+
+        await expect(client.get('/chart')).rejects.toMatchObject({ response: { status: 500 } });
+        expect(requests).toHaveLength(3);
+    });
+
+    test('does not retry client errors', async () => {
+        handler = (req, res) => sendJSON(res, 404, { error: 'missing' });
+
+        const client = createHttpClient({ baseURL, retries: 3, retryDelay: 1 });
+
+        await expect(client.get('/missing')).rejects.toMatchObject({ response: { status: 404 } });
+        expect(requests).toHaveLength(1);
+    });
+
+    test('does not resend a POST the server may have processed', async () => {
+        handler = (req, res) => sendJSON(res, 500, { error: 'failed' });
+
+        const client = createHttpClient({ baseURL, retries: 3, retryDelay: 1 });
+
+        await expect(client.post('/tasks', { prompt: 'x' })).rejects.toMatchObject({ response: { status: 500 } });
+        expect(requests).toHaveLength(1);
+    });
+
+    test('does not resend a POST that timed out after reaching the server', async () => {
+        handler = (req, res) => setTimeout(() => sendJSON(res, 201, { id: 'task-1' }), 200);
+
+        const client = createHttpClient({ baseURL, timeout: 50, retries: 3, retryDelay: 1 });
+
+        await expect(client.post('/tasks', { prompt: 'x' })).rejects.toMatchObject({ code: 'ECONNABORTED' });
+        expect(requests).toHaveLength(1);
+    });
+
+    test('resends a POST rejected with 429', async () => {
+        handler = (req, res, count) => count === 1
+            ? sendJSON(res, 429, { error: 'slow down' }, { 'Retry-After': '0' })
+            : sendJSON(res, 201, { id: 'task-1' });
+
+        const client = createHttpClient({ baseURL, retries: 3, retryDelay: 1 });
+        const response = await client.post('/tasks', { prompt: 'x' });
+
+        expect(response.data).toEqual({ id: 'task-1' });
+        expect(requests.map(request => request.method)).toEqual(['POST', 'POST']);
+    });
+
+    test('waits the minimum interval between requests to the same host', async () => {
+        handler = (req, res) => sendJSON(res, 200, {});
+
+        const client = createHttpClient({ baseURL, minInterval: 100 });
+        const started = Date.now();
+        await Promise.all([client.get('/a'), client.get('/b'), client.get('/c')]);
+
+        expect(Date.now() - started).toBeGreaterThanOrEqual(190);
+    });
+});
+
+describe('createHttpClient conditional cache', () => {
+    let cacheDir;
+
+    beforeEach(() => {
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    test('revalidates with ETag and serves the cached body on 304', async () => {
+        handler = (req, res) => req.headers['if-none-match'] === '"v1"'
+            ? sendJSON(res, 304, undefined, { ETag: '"v1"' })
+            : sendJSON(res, 200, { chart: 'v1' }, { ETag: '"v1"' });
+
+        const client = createHttpClient({ baseURL, cache: true, cacheDir });
+        const first = await client.get('/chart', { params: { key: 'secret' } });
+        const second = await client.get('/chart', { params: { key: 'secret' } });
+
+        expect(first.data).toEqual({ chart: 'v1' });
+        expect(first.fromCache).toBeUndefined();
+        expect(second).toMatchObject({ status: 200, data: { chart: 'v1' }, fromCache: true });
+        expect(requests[1].headers['if-none-match']).toBe('"v1"');
+
+        const [cacheFile] = fs.readdirSync(cacheDir);
+        expect(cacheFile).not.toContain('secret');
+    });
+
+    test('revalidates with Last-Modified', async () => {
+        const lastModified = 'Thu, 02 Jan 2025 00:00:00 GMT';
+        handler = (req, res) => req.headers['if-modified-since'] === lastModified
+            ? sendJSON(res, 304)
+            : sendJSON(res, 200, { chart: 'v1' }, { 'Last-Modified': lastModified });
+
+        const client = createHttpClient({ baseURL, cache: true, cacheDir });
+        await client.get('/chart');
+        const second = await client.get('/chart');
+
+        expect(second.fromCache).toBe(true);
+        expect(second.data).toEqual({ chart: 'v1' });
+    });
+
+    test('replaces the cached body when the resource changed', async () => {
+        handler = (req, res, count) => sendJSON(res, 200, { chart: `v${count}` }, { ETag: `"v${count}"` });
+
+        const client = createHttpClient({ baseURL, cache: true, cacheDir });
+        await client.get('/chart');
+        const second = await client.get('/chart');
+
+        expect(second.data).toEqual({ chart: 'v2' });
+        expect(requests[1].headers['if-none-match']).toBe('"v1"');
+    });
+
+    test('does not cache responses without validators', async () => {
+        handler = (req, res) => sendJSON(res, 200, { chart: 'v1' });
+
+        const client = createHttpClient({ baseURL, cache: true, cacheDir });
+        await client.get('/chart');
+        await client.get('/chart');
+
+        expect(fs.readdirSync(cacheDir)).toEqual([]);
+        expect(requests[1].headers['if-none-match']).toBeUndefined();
+    });
+
+    test('only caches when enabled', async () => {
+        handler = (req, res) => sendJSON(res, 200, { chart: 'v1' }, { ETag: '"v1"' });
+
+        const client = createHttpClient({ baseURL, cacheDir });
+        await client.get('/chart');
+
+        expect(fs.readdirSync(cacheDir)).toEqual([]);
+    });
+});
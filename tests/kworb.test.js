@@ -0,0 +1,109 @@
+/**
+ * kworb 차트 파서 (tests/fixtures/kworb-global-weekly.html)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    parseKworbNumber,
+    parsePositionChange,
+    parseKworbChart,
+    parseKworbChartDate
+} = require('../scripts/lib/chart-sources/kworb');
+
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'kworb-global-weekly.html'), 'utf8');
+
+// 파싱한 항목마다 출력하는 진행 로그 숨김
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parseKworbNumber', () => {
+    test('parses grouped, signed and bracketed numbers', () => {
+        expect(parseKworbNumber('52,143,512')).toBe(52143512);
+        expect(parseKworbNumber('+2,310,004')).toBe(2310004);
+        expect(parseKworbNumber('-1,204,331')).toBe(-1204331);
+        expect(parseKworbNumber('(x5)')).toBe(5);
+    });
+
+    test('returns null for empty cells', () => {
+        expect(parseKworbNumber('')).toBeNull();
+        expect(parseKworbNumber(undefined)).toBeNull();
+    });
+});
+
+describe('parsePositionChange', () => {
+    test('reads NEW and RE as chart status', () => {
+        expect(parsePositionChange('NEW')).toEqual({ positionChange: null, chartStatus: 'NEW' });
+        expect(parsePositionChange('re')).toEqual({ positionChange: null, chartStatus: 'RE' });
+    });
+
+    test('reads movement and no change', () => {
+        expect(parsePositionChange('+3')).toEqual({ positionChange: 3, chartStatus: null });
+        expect(parsePositionChange('-1')).toEqual({ positionChange: -1, chartStatus: null });
+        expect(parsePositionChange('=')).toEqual({ positionChange: 0, chartStatus: null });
+    });
+});
+
+describe('parseKworbChart', () => {
+    let chart;
+
+    beforeAll(() => {
+        chart = parseKworbChart(html);
+    });
+
+    test('parses every row of the table', () => {
+        expect(chart.map(entry => entry.rank)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('maps columns by header label', () => {
+        expect(chart[0]).toMatchObject({
+            artist: 'Doja Cat',
+            title: 'Paint The Town Red',
+            stats: {
+                positionChange: 0,
+                chartStatus: null,
+                weeksOnChart: 12,
+                peakPosition: 1,
+                peakCount: 5,
+                streams: 52143512,
+                streamsChange: -1204331,
+                totalStreams: 612345678
+            }
+        });
+    });
+
+    test('splits primary artists on their artist links', () => {
+        expect(chart[1].primaryArtists).toEqual(['Lady Gaga', 'Bruno Mars']);
+        expect(chart[1].artist).toBe('Lady Gaga, Bruno Mars');
+    });
+
+    test('reads linked (w/ ...) artists as featured artists', () => {
+        expect(chart[2]).toMatchObject({
+            title: 'DtMF',
+            primaryArtists: ['Bad Bunny'],
+            featuredArtists: ['Myke Towers'],
+            rawText: 'Bad Bunny - DtMF (w/ Myke Towers)'
+        });
+    });
+
+    test('keeps empty stat cells as null', () => {
+        expect(chart[3].stats).toMatchObject({ chartStatus: 'NEW', peakCount: null, streamsChange: null });
+        expect(chart[4].stats.chartStatus).toBe('RE');
+    });
+});
+
+describe('parseKworbChartDate', () => {
+    test('reads the chart date from the page title', () => {
+        expect(parseKworbChartDate(html)).toBe('2025-01-02');
+    });
+
+    test('ignores dates outside the page title', () => {
+        const page = '<html><head><title>Spotify Weekly Chart</title></head><body><div class="footer">Last updated: 2025/01/03</div></body></html>';
+        expect(parseKworbChartDate(page)).toBeNull();
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * 수동 보정 파일 (키 매칭, 연결되지 않은 키 경고)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadOverrides, warnUnmatchedOverrides, applyCreditsOverride, applyYouTubeOverride } = require('../scripts/lib/overrides');
+
+const chart = [
+    { rank: 1, artist: 'Tyler, The Creator', title: 'See You Again', primaryArtists: ['Tyler, The Creator'], featuredArtists: ['Kali Uchis'] },
+    { rank: 2, artist: 'Mumford & Sons', title: 'I Will Wait', primaryArtists: ['Mumford & Sons'] },
+    { rank: 3, artist: 'Lady Gaga, Bruno Mars', title: 'Die With A Smile', primaryArtists: ['Lady Gaga', 'Bruno Mars'] },
+    { rank: 4, artist: 'Sabrina Carpenter', title: 'Espresso', primaryArtists: ['Sabrina Carpenter'] }
+];
+
+let dir;
+let overrides;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+    const overridesPath = path.join(dir, 'overrides.json');
+    fs.writeFileSync(overridesPath, JSON.stringify({
+        tracks: {
+            'Tyler, The Creator - See You Again': { album: 'Flower Boy' },
+            'Mumford & Sons - I Will Wait': { hidden: true },
+            'Lady Gaga, Bruno Mars - Die With A Smile': { youtube: { videoId: 'kPa7bsKwL-c' } },
+            'sabrina carpenter::espresso': { album: "Short n' Sweet" },
+            'Sabrina Carpenter - Expresso': { hidden: true }
+        }
+    }));
+    overrides = await loadOverrides(overridesPath);
+});
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('override keys', () => {
+    test('keep comma and ampersand artist names whole', () => {
+        expect(applyCreditsOverride({ ...chart[0], album: null }, overrides)).toMatchObject({ album: 'Flower Boy', overrides: ['album'] });
+        expect(applyCreditsOverride(chart[1], overrides)).toMatchObject({ hidden: true });
+    });
+
+    test('match multi-artist tracks by the artist text shown on the chart', () => {
+        expect(applyYouTubeOverride(chart[2], overrides).youtube).toMatchObject({ videoId: 'kPa7bsKwL-c', pinned: true });
+    });
+
+    test('accept track identity keys', () => {
+        expect(applyCreditsOverride(chart[3], overrides).album).toBe("Short n' Sweet");
+    });
+});
+
+describe('warnUnmatchedOverrides', () => {
+    test('reports keys that match no chart track', () => {
+        expect(warnUnmatchedOverrides(overrides, chart, 'global chart')).toEqual(['Sabrina Carpenter - Expresso']);
+        expect(console.warn).toHaveBeenCalledWith('⚠️ Override "Sabrina Carpenter - Expresso" matched no track in the global chart');
+    });
+});
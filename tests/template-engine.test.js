@@ -0,0 +1,113 @@
+/**
+ * HTML 템플릿 엔진 (렌더링, 엄격 모드 오류)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { escapeHTML, serializeJSON, renderTemplate, loadPartials } = require('../scripts/lib/template-engine');
+
+describe('escapeHTML', () => {
+    test('escapes HTML special characters', () => {
+        expect(escapeHTML(`<a href="x">Tom & Jerry's</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+});
+
+describe('serializeJSON', () => {
+    test('keeps script-closing sequences out of the output', () => {
+        const json = serializeJSON({ title: '</script><!-- & \u2028' });
+
+        expect(json).not.toMatch(/[<>&\u2028]/);
+        expect(JSON.parse(json)).toEqual({ title: '</script><!-- & \u2028' });
+    });
+});
+
+describe('renderTemplate', () => {
+    test('escapes values unless they use triple braces', () => {
+        const data = { title: '<b>Hi</b>' };
+        expect(renderTemplate('{{title}} {{{title}}}', data)).toBe('&lt;b&gt;Hi&lt;/b&gt; <b>Hi</b>');
+    });
+
+    test('resolves nested paths, loop fields and loop metadata', () => {
+        const source = '{{#each tracks}}{{@number}}.{{title}} by {{artist.name}} ({{chart}}){{#unless @last}}, {{/unless}}{{/each}}';
+        const data = {
+            chart: 'global',
+            tracks: [{ title: 'A', artist: { name: 'X' } }, { title: 'B', artist: { name: 'Y' } }]
+        };
+
+        expect(renderTemplate(source, data)).toBe('1.A by X (global), 2.B by Y (global)');
+    });
+
+    test('renders else branches for empty lists and false conditions', () => {
+        const source = '{{#each items}}{{this}}{{else}}none{{/each}}|{{#if flag}}yes{{else}}no{{/if}}';
+        expect(renderTemplate(source, { items: [], flag: false })).toBe('none|no');
+    });
+
+    test('treats missing values in conditions as false', () => {
+        expect(renderTemplate('{{#if track.youtube}}video{{else}}no video{{/if}}', { track: {} })).toBe('no video');
+    });
+
+    test('prints null values as empty strings', () => {
+        expect(renderTemplate('[{{album}}]', { album: null })).toBe('[]');
+    });
+
+    test('drops lines that only hold block, partial or comment tags', () => {
+        const source = '<ul>\n    {{#each items}}\n    <li>{{this}}</li>\n    {{/each}}\n    {{! end }}\n</ul>\n';
+        expect(renderTemplate(source, { items: ['a', 'b'] })).toBe('<ul>\n    <li>a</li>\n    <li>b</li>\n</ul>\n');
+    });
+
+    test('renders partials with the current scope', () => {
+        const partials = { item: '<li>{{title}}</li>' };
+        expect(renderTemplate('{{#each tracks}}{{> item}}{{/each}}', { tracks: [{ title: 'A' }] }, { partials })).toBe('<li>A</li>');
+    });
+
+    test('embeds JSON data blocks', () => {
+        expect(renderTemplate('{{json data}}', { data: [1] })).toBe('[\n    1\n]');
+    });
+});
+
+describe('renderTemplate strict mode', () => {
+    test.each([
+        ['unresolved placeholders', '<h1>{{title}}</h1>', {}, 'Unresolved placeholder {{title}} (page.html:1)'],
+        ['unresolved nested paths', '{{track.album}}', { track: {} }, 'Unresolved placeholder {{track.album}}'],
+        ['unknown tags', '{{title | upper}}', { title: 'x' }, 'Unknown template tag {{title | upper}}'],
+        ['unknown blocks', '{{#with track}}{{/with}}', { track: {} }, 'Unknown template block {{#with}}'],
+        ['unclosed blocks', 'a\n{{#each items}}\n{{this}}', { items: [] }, 'Unclosed {{#each}} block (page.html:2)'],
+        ['unexpected closing tags', '{{#if a}}{{/each}}', { a: true }, 'Unexpected {{/each}}'],
+        ['stray else', '{{else}}', {}, 'Unexpected {{else}}'],
+        ['double else', '{{#if a}}1{{else}}2{{else}}3{{/if}}', { a: true }, 'Unexpected {{else}}'],
+        ['unclosed tags', '<p>{{title</p>', { title: 'x' }, 'Unclosed template tag (page.html:1)'],
+        ['objects in value tags', '{{track}}', { track: {} }, 'Placeholder {{track}} is an object'],
+        ['each over non-arrays', '{{#each track}}{{/each}}', { track: {} }, '{{#each track}} expects an array'],
+        ['unknown partials', '{{> footer}}', {}, 'Unknown partial {{> footer}}']
+    ])('throws on %s', (name, source, data, message) => {
+        expect(() => renderTemplate(source, data, { name: 'page.html' })).toThrow(message);
+    });
+
+    test('reports the partial name for errors inside partials', () => {
+        expect(() => renderTemplate('{{> head}}', {}, { partials: { head: '\n<title>{{title}}</title>' } }))
+            .toThrow('Unresolved placeholder {{title}} (partials/head:2)');
+    });
+
+    test('stops recursive partials', () => {
+        expect(() => renderTemplate('{{> loop}}', {}, { partials: { loop: '{{> loop}}' } })).toThrow('nested too deeply');
+    });
+});
+
+describe('loadPartials', () => {
+    test('loads .html files by name', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'partials-'));
+        fs.writeFileSync(path.join(dir, 'head.html'), '<meta>');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+        try {
+            expect(await loadPartials(dir)).toEqual({ head: '<meta>' });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('returns no partials when the directory is missing', async () => {
+        expect(await loadPartials(path.join(os.tmpdir(), 'no-such-partials-dir'))).toEqual({});
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * 외부 결과 ↔ 차트 항목 매칭 (점수 기준값, 모호한 매칭)
+ */
+
+const { diceCoefficient, scoreTrackMatch, matchTracks } = require('../scripts/lib/track-matching');
+
+const chart = [
+    { rank: 1, artist: 'Doja Cat', title: 'Paint The Town Red', primaryArtists: ['Doja Cat'] },
+    { rank: 2, artist: 'Doja Cat', title: 'Paint The Town Red (Sped Up)', primaryArtists: ['Doja Cat'] },
+    { rank: 3, artist: 'Lady Gaga, Bruno Mars', title: 'Die With A Smile', primaryArtists: ['Lady Gaga', 'Bruno Mars'] },
+    { rank: 4, artist: 'Billie Eilish', title: 'BIRDS OF A FEATHER' }
+];
+
+describe('diceCoefficient', () => {
+    test('scores shared bigrams between 0 and 1', () => {
+        expect(diceCoefficient('night', 'nacht')).toBe(0.25);
+        expect(diceCoefficient('paint', 'paint')).toBe(1);
+        expect(diceCoefficient('a', 'b')).toBe(0);
+        expect(diceCoefficient('', '')).toBe(0);
+    });
+});
+
+describe('scoreTrackMatch', () => {
+    test('tolerates case and small spelling differences', () => {
+        const { score, titleScore } = scoreTrackMatch({ artist: 'Billie Elish', title: 'Birds of a Feather' }, chart[3]);
+        expect(titleScore).toBe(1);
+        expect(score).toBeGreaterThan(0.9);
+    });
+
+    test('matches any one of several primary artists', () => {
+        expect(scoreTrackMatch({ artist: 'Bruno Mars', title: 'Die With A Smile' }, chart[2]).score).toBe(1);
+    });
+
+    test('scores a different song by the same artist low', () => {
+        const { score, titleScore } = scoreTrackMatch({ artist: 'Doja Cat', title: 'Agora Hills' }, chart[0]);
+        expect(titleScore).toBeLessThan(0.5);
+        expect(score).toBeLessThan(0.7);
+    });
+});
+
+describe('matchTracks', () => {
+    test('links items one to one regardless of the rank they report', () => {
+        const items = [
+            { rank: 9, artist: 'Doja Cat', title: 'Paint the Town Red' },
+            { artist: 'Doja Cat', title: 'Paint The Town Red (Sped Up)' },
+            { artist: 'Lady Gaga', title: 'Die With A Smile' }
+        ];
+        const { matches, unmatched } = matchTracks(items, chart);
+
+        expect(matches.get(1).item).toBe(items[0]);
+        expect(matches.get(2).item).toBe(items[1]);
+        expect(matches.get(3).item).toBe(items[2]);
+        expect(unmatched).toEqual([]);
+    });
+
+    test('leaves items below the threshold unmatched', () => {
+        const items = [{ artist: 'Doja Cat', title: 'Agora Hills' }, { artist: 'Unknown', title: 'Something Else' }];
+        const { matches, unmatched } = matchTracks(items, chart);
+
+        expect(matches.size).toBe(0);
+        expect(unmatched).toEqual(items);
+    });
+
+    test('applies a custom threshold', () => {
+        const item = { artist: 'Doja Cat', title: 'Paint The Town' };
+
+        expect(matchTracks([item], chart).matches.get(1).score).toBeCloseTo(0.913);
+        expect(matchTracks([item], chart, { threshold: 0.95 }).matches.size).toBe(0);
+    });
+
+    test('rejects a weak title even when the total score passes', () => {
+        const item = { artist: 'Doja Cat', title: 'Agora Hills' };
+        expect(matchTracks([item], chart, { threshold: 0 }).matches.size).toBe(0);
+        expect(matchTracks([item], chart, { threshold: 0, minTitleScore: 0 }).matches.size).toBe(1);
+    });
+
+    test('reports close candidates as ambiguous and prefers the reported rank', () => {
+        const duplicates = [
+            { rank: 4, artist: 'Jimin', title: 'Who' },
+            { rank: 5, artist: 'Jimin', title: 'Who' }
+        ];
+        const item = { rank: 5, artist: 'Jimin', title: 'Who' };
+        const { matches, ambiguous } = matchTracks([item], duplicates);
+
+        expect(matches.get(5).item).toBe(item);
+        expect(matches.has(4)).toBe(false);
+        expect(ambiguous).toEqual([{
+            item,
+            rank: 5,
+            candidates: [{ rank: 4, score: 1 }, { rank: 5, score: 1 }]
+        }]);
+    });
+
+    test('uses the ambiguity margin to decide which candidates are close', () => {
+        const item = { artist: 'Doja Cat', title: 'Paint The Town Red' };
+
+        expect(matchTracks([item], chart).ambiguous).toEqual([]);
+        expect(matchTracks([item], chart, { ambiguityMargin: 0.15 }).ambiguous).toEqual([{
+            item,
+            rank: 1,
+            candidates: [{ rank: 1, score: 1 }, { rank: 2, score: 0.876 }]
+        }]);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Manus 크레딧 수집 작업 이어서 확인 (로컬 HTTP 서버를 Manus API로 사용)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// 스크립트가 로드 시점에 읽는 설정 (상태 확인은 한 번만 하고 바로 시간 초과)
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'manus-state-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.MANUS_POLL_INTERVAL_MS = '10';
+process.env.MANUS_TASK_TIMEOUT_MS = '10';
+process.env.CREDITS_MAX_ATTEMPTS = '1';
+
+const { collectCredits, getChartHash, isTaskStillRunning } = require('../scripts/trigger-manus-agent');
+const { createManusProvider } = require('../scripts/lib/credits-providers/manus');
+
+const chart = [
+    { rank: 1, artist: 'Sabrina Carpenter', title: 'Espresso', primaryArtists: ['Sabrina Carpenter'] },
+    { rank: 2, artist: 'Billie Eilish', title: 'BIRDS OF A FEATHER', primaryArtists: ['Billie Eilish'] }
+];
+const STATE_PATH = path.join(DATA_DIR, 'manus-state-global.json');
+
+let server;
+let provider;
+let tasks;
+let requests;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.method === 'POST') {
+            const taskId = `task-${requests.filter(request => request.startsWith('POST')).length}`;
+            tasks[taskId] = tasks.next || { status: 'running' };
+            res.end(JSON.stringify({ task_id: taskId }));
+            return;
+        }
+
+        const task = tasks[req.url.replace('/v1/tasks/', '')];
+        res.statusCode = task ? 200 : 404;
+        res.end(JSON.stringify(task || { error: 'Task not found' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    provider = createManusProvider({ apiKey: 'test-key', baseURL: `http://127.0.0.1:${server.address().port}` });
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    tasks = {};
+    requests = [];
+    fs.rmSync(STATE_PATH, { force: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const completedTask = {
+    status: 'completed',
+    result: chart.map(({ artist, title }) => ({ artist, title, album: null, credits: [{ role: 'Producer', people: ['Someone'] }] }))
+};
+
+const readState = () => JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+
+function writePendingState(taskId) {
+    fs.writeFileSync(STATE_PATH, JSON.stringify({
+        country: 'global',
+        period: 'weekly',
+        chartHash: getChartHash(chart),
+        pendingTasks: [{ taskId, ranks: [1, 2] }],
+        completed: {},
+        failures: {}
+    }));
+}
+
+describe('isTaskStillRunning', () => {
+    const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+    test('keeps the task for poll timeouts and transient errors', () => {
+        expect(isTaskStillRunning(Object.assign(new Error('Task timeout'), { taskStatus: 'running' }))).toBe(true);
+        expect(isTaskStillRunning(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+        expect(isTaskStillRunning(httpError(503))).toBe(true);
+        expect(isTaskStillRunning(httpError(429))).toBe(true);
+    });
+
+    test('drops failed, expired and unknown tasks', () => {
+        expect(isTaskStillRunning(Object.assign(new Error('Task failed'), { taskStatus: 'failed' }))).toBe(false);
+        expect(isTaskStillRunning(httpError(404))).toBe(false);
+        expect(isTaskStillRunning(httpError(410))).toBe(false);
+        expect(isTaskStillRunning(httpError(403))).toBe(false);
+    });
+});
+
+describe('collectCredits task resume', () => {
+    test('keeps a timed-out task pending and resumes it on the next run', async () => {
+        const first = await collectCredits(provider, chart, 'global', 'weekly', null, { useCache: false });
+
+        expect(first.coverage.missing.map(item => item.status)).toEqual(['pending', 'pending']);
+        expect(readState().pendingTasks.map(task => task.taskId)).toEqual(['task-1']);
+
+        tasks['task-1'] = completedTask;
+        const second = await collectCredits(provider, chart, 'global', 'weekly', null, { useCache: false });
+
+        expect(second.coverage.collected).toBe(2);
+        expect(requests.filter(request => request.startsWith('POST'))).toHaveLength(1);
+        expect(readState().pendingTasks).toEqual([]);
+    });
+
+    test('resubmits the tracks of a task the provider no longer knows', async () => {
+        writePendingState('task-expired');
+        tasks.next = completedTask;
+
+        const result = await collectCredits(provider, chart, 'global', 'weekly', null, { useCache: false });
+
+        expect(requests).toEqual(['GET /v1/tasks/task-expired', 'POST /v1/tasks', 'GET /v1/tasks/task-1']);
+        expect(result.coverage.collected).toBe(2);
+        expect(readState().pendingTasks).toEqual([]);
+    });
+});
@@ -0,0 +1,259 @@
+/**
+ * YouTube 후보 순위 (점수, 영상 종류, 재생 가능 여부)
+ */
+
+const {
+    parseISODuration,
+    getChannelType,
+    getTitleSimilarity,
+    classifyVideo,
+    getPlayabilityIssue,
+    scoreVideoCandidate,
+    rankVideos,
+    findBestVideos,
+    findBestVideo
+} = require('../scripts/lib/youtube-ranking');
+
+const track = { rank: 1, artist: 'The Weeknd', title: 'Blinding Lights', primaryArtists: ['The Weeknd'] };
+
+/**
+ * search.list 항목과 videos.list 항목 한 쌍
+ */
+function createVideo(videoId, title, channelTitle, { duration = 'PT3M20S', viewCount = '1000000', licensedContent = true, status = {}, regionRestriction } = {}) {
+    const snippet = { title, channelTitle };
+    return {
+        video: { id: { videoId }, snippet },
+        details: {
+            id: videoId,
+            snippet,
+            contentDetails: { duration, licensedContent, ...(regionRestriction && { regionRestriction }) },
+            status: { uploadStatus: 'processed', privacyStatus: 'public', embeddable: true, ...status },
+            statistics: { viewCount }
+        }
+    };
+}
+
+function toDetailsMap(candidates) {
+    return new Map(candidates.map(({ details }) => [details.id, details]));
+}
+
+describe('parseISODuration', () => {
+    test('converts ISO 8601 durations to seconds', () => {
+        expect(parseISODuration('PT3M25S')).toBe(205);
+        expect(parseISODuration('PT1H2M')).toBe(3720);
+        expect(parseISODuration('P1DT1S')).toBe(86401);
+    });
+
+    test('returns null for malformed values', () => {
+        expect(parseISODuration('PT')).toBeNull();
+        expect(parseISODuration('3:25')).toBeNull();
+        expect(parseISODuration(undefined)).toBeNull();
+    });
+});
+
+describe('getChannelType', () => {
+    test.each([
+        ['The Weeknd - Topic', 'topic'],
+        ['TheWeekndVEVO', 'vevo'],
+        ['The Weeknd', 'artist'],
+        ['Republic Records', 'label'],
+        ['Someone Else - Topic', 'other'],
+        ['Piano Dreams', 'other']
+    ])('%s is a %s channel', (channelTitle, type) => {
+        expect(getChannelType(channelTitle, ['The Weeknd'])).toBe(type);
+    });
+});
+
+describe('getTitleSimilarity', () => {
+    test('ignores the artist name and video labels', () => {
+        expect(getTitleSimilarity('The Weeknd - Blinding Lights (Official Video)', 'Blinding Lights', ['The Weeknd'])).toBe(1);
+    });
+
+    test('scores another song by the same artist low', () => {
+        expect(getTitleSimilarity('The Weeknd - Save Your Tears', 'Blinding Lights', ['The Weeknd'])).toBeLessThan(0.5);
+    });
+});
+
+describe('classifyVideo', () => {
+    test.each([
+        ['Blinding Lights (Official Video)', 'vevo', 'mv'],
+        ['Blinding Lights (Official Lyric Video)', 'artist', 'lyric'],
+        ['Blinding Lights (Visualizer)', 'artist', 'audio'],
+        ['Blinding Lights', 'topic', 'audio'],
+        ['Blinding Lights (Live at the Super Bowl)', 'artist', 'live']
+    ])('"%s" on a %s channel is %s', (title, channelType, type) => {
+        expect(classifyVideo(title, channelType, 'Blinding Lights')).toBe(type);
+    });
+
+    test('rejects other versions', () => {
+        expect(classifyVideo('Blinding Lights (Piano Cover)', 'other', 'Blinding Lights')).toBeNull();
+        expect(classifyVideo('Blinding Lights (sped up)', 'other', 'Blinding Lights')).toBeNull();
+    });
+
+    test('does not classify by keywords that are part of the song title', () => {
+        expect(classifyVideo('Live Forever (Official Video)', 'artist', 'Live Forever')).toBe('mv');
+        expect(classifyVideo('Cover Me Up (Official Video)', 'artist', 'Cover Me Up')).toBe('mv');
+    });
+});
+
+describe('getPlayabilityIssue', () => {
+    const playable = createVideo('a', 'Blinding Lights', 'The Weeknd').details;
+
+    test('returns null for a public, embeddable video', () => {
+        expect(getPlayabilityIssue(playable, 'US')).toBeNull();
+    });
+
+    test('treats a video missing from the details response as unavailable', () => {
+        expect(getPlayabilityIssue(undefined, 'US')).toBe('unavailable');
+        expect(getPlayabilityIssue(null, 'US')).toBe('unavailable');
+    });
+
+    test.each([
+        [{ status: { privacyStatus: 'private' } }, 'private'],
+        [{ status: { uploadStatus: 'uploaded' } }, 'not_processed'],
+        [{ status: { embeddable: false } }, 'not_embeddable'],
+        [{ regionRestriction: { blocked: ['US', 'CA'] } }, 'region_blocked'],
+        [{ regionRestriction: { allowed: ['KR'] } }, 'region_blocked']
+    ])('%j → %s', (options, issue) => {
+        expect(getPlayabilityIssue(createVideo('a', 'Blinding Lights', 'The Weeknd', options).details, 'us')).toBe(issue);
+    });
+
+    test('allows unlisted videos and regions outside the block list', () => {
+        const { details } = createVideo('a', 'Blinding Lights', 'The Weeknd', {
+            status: { privacyStatus: 'unlisted' },
+            regionRestriction: { blocked: ['CA'] }
+        });
+        expect(getPlayabilityIssue(details, 'US')).toBeNull();
+    });
+});
+
+describe('scoreVideoCandidate', () => {
+    const { video, details } = createVideo('4NRXx6U8ABQ', 'The Weeknd - Blinding Lights (Official Video)', 'TheWeekndVEVO', {
+        duration: 'PT3M22S',
+        viewCount: '1012345678'
+    });
+
+    test('adds up every signal and explains the score', () => {
+        const result = scoreVideoCandidate(video, details, track, { index: 0, targetSeconds: 200 });
+
+        expect(result).toMatchObject({
+            score: 69,
+            type: 'mv',
+            channelType: 'vevo',
+            titleSimilarity: 1,
+            durationSeconds: 202,
+            viewCount: 1012345678,
+            licensedContent: true
+        });
+        expect(result.reason).toBe('title similarity 1.00 (+20), artist in title (+5), vevo channel (+15), official in title (+3), '
+            + 'duration within 2s of track (+10), 1,012,345,678 views (+9), licensed content (+5), top search result (+2)');
+    });
+
+    test('scores on the search snippet alone without details', () => {
+        const result = scoreVideoCandidate(video, null, track, { index: 3 });
+
+        expect(result.score).toBe(43);
+        expect(result).toMatchObject({ durationSeconds: null, viewCount: null, licensedContent: false });
+    });
+
+    test('penalizes other versions and durations far from the track', () => {
+        const cover = createVideo('c', 'Blinding Lights (Piano Cover)', 'Piano Dreams', { duration: 'PT6M00S', licensedContent: false });
+        const result = scoreVideoCandidate(cover.video, cover.details, track, { index: 1, targetSeconds: 200 });
+
+        expect(result.type).toBeNull();
+        expect(result.reason).toContain('"cover" version (-15)');
+        expect(result.reason).toContain('duration off by 160s (-10)');
+    });
+
+    test('penalizes unusual lengths when the track length is unknown', () => {
+        const loop = createVideo('l', 'The Weeknd - Blinding Lights 1 hour', 'Loops', { duration: 'PT1H0M0S' });
+        expect(scoreVideoCandidate(loop.video, loop.details, track).reason).toContain('unusual duration 3600s (-10)');
+    });
+});
+
+describe('rankVideos', () => {
+    const candidates = [
+        createVideo('cover', 'Blinding Lights (Piano Cover)', 'Piano Dreams'),
+        createVideo('mv', 'The Weeknd - Blinding Lights (Official Video)', 'TheWeekndVEVO', { duration: 'PT4M22S', viewCount: '1012345678' }),
+        createVideo('topic', 'Blinding Lights', 'The Weeknd - Topic', { duration: 'PT3M21S' })
+    ];
+    const videos = candidates.map(({ video }) => video);
+
+    test('sorts candidates by score', () => {
+        expect(rankVideos(videos, track, toDetailsMap(candidates)).map(candidate => candidate.video.id.videoId))
+            .toEqual(['mv', 'topic', 'cover']);
+    });
+
+    test('uses the Topic channel audio length as the track length', () => {
+        const [mv, topic] = rankVideos(videos, track, toDetailsMap(candidates));
+
+        expect(topic.reason).toContain('duration within 0s of track (+10)');
+        expect(mv.reason).not.toContain('duration within');
+    });
+
+    test('prefers the track duration when the chart entry has one', () => {
+        const [mv] = rankVideos(videos, { ...track, durationMs: 262000 }, toDetailsMap(candidates));
+        expect(mv.reason).toContain('duration within 0s of track (+10)');
+    });
+
+    test('marks candidates missing from the details response as unavailable', () => {
+        const details = toDetailsMap(candidates);
+        details.delete('mv');
+
+        const ranked = rankVideos(videos, track, details, { region: 'US' });
+        expect(ranked.find(candidate => candidate.video.id.videoId === 'mv').playabilityIssue).toBe('unavailable');
+    });
+
+    test('skips the playability check when details could not be loaded', () => {
+        const ranked = rankVideos(videos, track, null, { region: 'US' });
+        expect(ranked.every(candidate => candidate.playabilityIssue === null && candidate.details === null)).toBe(true);
+    });
+});
+
+describe('findBestVideos', () => {
+    test('picks the best video of each type in player order', () => {
+        const candidates = [
+            createVideo('live', 'The Weeknd - Blinding Lights (Live)', 'The Weeknd'),
+            createVideo('topic', 'Blinding Lights', 'The Weeknd - Topic'),
+            createVideo('lyric', 'The Weeknd - Blinding Lights (Lyrics)', 'Lyric Hub'),
+            createVideo('mv', 'The Weeknd - Blinding Lights (Official Video)', 'TheWeekndVEVO'),
+            createVideo('other-song', 'The Weeknd - Save Your Tears (Official Video)', 'TheWeekndVEVO')
+        ];
+        const best = findBestVideos(candidates.map(({ video }) => video), track, toDetailsMap(candidates));
+
+        expect(best.map(candidate => [candidate.type, candidate.video.id.videoId])).toEqual([
+            ['mv', 'mv'],
+            ['lyric', 'lyric'],
+            ['audio', 'topic'],
+            ['live', 'live']
+        ]);
+    });
+
+    test('skips unplayable candidates and records them on the pick', () => {
+        const candidates = [
+            createVideo('blocked', 'The Weeknd - Blinding Lights (Official Video)', 'TheWeekndVEVO', { status: { embeddable: false }, viewCount: '1012345678' }),
+            createVideo('deleted', 'The Weeknd - Blinding Lights (Official Music Video)', 'The Weeknd'),
+            createVideo('label', 'Blinding Lights (Music Video)', 'Republic Records', { licensedContent: false, viewCount: '5000' })
+        ];
+        const details = toDetailsMap(candidates);
+        details.delete('deleted');
+
+        const best = findBestVideo(candidates.map(({ video }) => video), track, details, { region: 'US' });
+
+        expect(best.video.id.videoId).toBe('label');
+        expect(best.skippedVideos.map(({ videoId, issue }) => [videoId, issue])).toEqual([
+            ['blocked', 'not_embeddable'],
+            ['deleted', 'unavailable']
+        ]);
+    });
+
+    test('returns nothing when every candidate is another version or another song', () => {
+        const candidates = [
+            createVideo('karaoke', 'Blinding Lights (Karaoke Version)', 'Sing King'),
+            createVideo('other-song', 'The Weeknd - Save Your Tears (Official Video)', 'TheWeekndVEVO')
+        ];
+
+        expect(findBestVideos(candidates.map(({ video }) => video), track, toDetailsMap(candidates))).toEqual([]);
+        expect(findBestVideo(candidates.map(({ video }) => video), track, toDetailsMap(candidates))).toBeNull();
+    });
+});